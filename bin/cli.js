@@ -1,24 +1,104 @@
 #!/usr/bin/env node
 
-const { enrichResults } = require('../src/enrichResults');
+const { enrichResults, clearCache, importFeedback } = require('../src/enrichResults');
 const { generateHtmlReport } = require('../src/renderHtmlReport');
 
 const command = process.argv[2];
 
+// Translate CLI flags into pipeline options
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--no-cache':
+                options.cache = false;
+                break;
+
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+
+            case '--dry-run-dir':
+                options.dryRun = true;
+                options.dryRunDir = argv[++i];
+                break;
+
+            case '--sidecar':
+                options.sidecar = true;
+                break;
+
+            case '--force':
+                options.force = true;
+                break;
+
+            case '--only-fallback':
+                options.onlyFallback = true;
+                break;
+
+            case '--grep':
+                options.grep = argv[++i];
+                break;
+
+            case '--spec':
+                options.spec = argv[++i];
+                break;
+
+            case '--record':
+                options.record = true;
+                break;
+
+            case '--replay':
+                options.provider = 'replay';
+                break;
+
+            case '--fixtures-dir':
+                options.fixturesDir = argv[++i];
+                break;
+
+            default:
+                console.warn(`[WARN] Ignoring unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+// Commands such as feedback:import take one positional argument before the options
+const target = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+const options = parseArgs(process.argv.slice(target ? 4 : 3));
+
 const printHelp = () => {
     console.log(`
 TestAIgnite Reporter CLI
 
 Usage:
-  npx testaignite <command>
+  npx testaignite <command> [options]
 
 Commands:
   report:ai      Run AI enrichment on Mochawesome JSON reports (Requires HUGGINGFACE_API_TOKEN)
   report:html    Generate the final standalone HTML report
   report:full    Run AI enrichment then generate HTML report
+  cache:clear    Delete cached AI insights (.testaignite/cache)
+  feedback:import <file>
+                 Import verdict feedback exported from the HTML report (.testaignite/feedback.json)
+
+Options:
+  --no-cache            Ignore and do not write the AI insight cache
+  --dry-run             Print the prompts report:ai would send, with token estimates (no AI calls, no report writes)
+  --dry-run-dir <dir>   Same as --dry-run, but write one prompt file per failure to <dir>
+  --sidecar             Keep Mochawesome JSON untouched; write insights to (and always merge them from) cypress/reports/insights.json
+  --force               Re-analyze failures that already have an insight (previous one kept as history)
+  --only-fallback       Re-analyze only fallback, degraded or low-confidence insights
+  --grep <pattern>      Only (re-)analyze tests whose full title matches <pattern>
+  --spec <pattern>      Only (re-)analyze tests from spec files matching <pattern>
+  --record              Save every AI request/response pair as a replay fixture
+  --replay              Answer AI requests from recorded fixtures only (no network)
+  --fixtures-dir <dir>  Fixture folder for --record/--replay (default .testaignite/fixtures)
 
 Example:
   npx testaignite report:full
+  npx testaignite report:ai --dry-run-dir ./prompt-preview
+  npx testaignite feedback:import ~/Downloads/testaignite-feedback.json
   `);
 };
 
@@ -26,16 +106,28 @@ const run = async () => {
     try {
         switch (command) {
             case 'report:ai':
-                await enrichResults();
+                await enrichResults(options);
                 break;
 
             case 'report:html':
-                generateHtmlReport();
+                generateHtmlReport(options);
                 break;
 
             case 'report:full':
-                await enrichResults();
-                generateHtmlReport();
+                await enrichResults(options);
+                if (!options.dryRun) generateHtmlReport(options);
+                break;
+
+            case 'cache:clear':
+                clearCache(options);
+                break;
+
+            case 'feedback:import':
+                if (!target) {
+                    console.error('Usage: testaignite feedback:import <file>');
+                    process.exit(1);
+                }
+                importFeedback(target, options);
                 break;
 
             default:
@@ -3,10 +3,12 @@
  * Public API
  */
 
-const { enrichResults } = require('./src/enrichResults');
+const { enrichResults, clearCache, importFeedback } = require('./src/enrichResults');
 const { generateHtmlReport } = require('./src/renderHtmlReport');
 
 module.exports = {
     enrichResults,
+    clearCache,
+    importFeedback,
     generateHtmlReport
 };
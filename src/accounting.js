@@ -0,0 +1,188 @@
+/**
+ * TestAIgnite - Run Accounting & Budget
+ *
+ * Tracks every AI call of an enrichment run (latency, tokens, estimated cost per model),
+ * enforces the optional per-run call/token/cost budget and produces the run summary that is
+ * printed as a table and saved as JSON for audits.
+ */
+
+const { estimateTokens } = require("./dryRun");
+const { writeJsonAtomic } = require("./fsUtils");
+
+const BUDGET_EXCEEDED = "AI budget exhausted";
+
+const createRunStats = () => ({
+    startedAt: new Date().toISOString(),
+    calls: 0,
+    failedCalls: 0,
+    cacheHits: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    estimatedCost: 0,
+    budgetExceeded: null,
+    reserved: { calls: 0, tokens: 0, cost: 0 }, // Calls in flight, at their estimated worst case
+    models: {}
+});
+
+/**
+ * Cost of one call from `pricing[model]` = { inputPer1k, outputPer1k } (any currency). 0 when unpriced.
+ */
+const costOf = (model, usage, pricing = {}) => {
+    const price = pricing[model];
+    if (!price) return 0;
+    return ((usage.inputTokens || 0) / 1000) * (price.inputPer1k || 0)
+        + ((usage.outputTokens || 0) / 1000) * (price.outputPer1k || 0);
+};
+
+/**
+ * Provider usage, or a character-based estimate when the backend does not report tokens.
+ */
+const resolveUsage = (usage, messages, content) => {
+    if (usage && usage.inputTokens != null && usage.outputTokens != null) {
+        return { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, estimated: false };
+    }
+    return {
+        inputTokens: usage?.inputTokens ?? estimateTokens(messages.map((m) => m.content).join("\n")),
+        outputTokens: usage?.outputTokens ?? estimateTokens(content),
+        estimated: true
+    };
+};
+
+/**
+ * Adds one finished call (successful or not) to the run totals.
+ */
+const recordCall = (stats, { model, usage, latencyMs, ok, pricing }) => {
+    const entry = stats.models[model] || (stats.models[model] = {
+        calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCost: 0
+    });
+    const cost = usage ? costOf(model, usage, pricing) : 0;
+
+    stats.calls++;
+    entry.calls++;
+    entry.latencyMs += latencyMs;
+    if (!ok) {
+        stats.failedCalls++;
+        entry.failedCalls++;
+    }
+    if (usage) {
+        stats.inputTokens += usage.inputTokens;
+        stats.outputTokens += usage.outputTokens;
+        entry.inputTokens += usage.inputTokens;
+        entry.outputTokens += usage.outputTokens;
+    }
+    stats.estimatedCost += cost;
+    entry.estimatedCost += cost;
+    return cost;
+};
+
+/**
+ * Worst-case usage of a call before it is sent: the estimated prompt plus `maxOutputTokens`.
+ */
+const estimateCall = (model, messages, maxOutputTokens, pricing) => {
+    const usage = { inputTokens: estimateTokens(messages.map((m) => m.content).join("\n")), outputTokens: maxOutputTokens };
+    return { calls: 1, tokens: usage.inputTokens + usage.outputTokens, cost: costOf(model, usage, pricing) };
+};
+
+/**
+ * Returns a human-readable reason when a call estimated at `next` (see estimateCall), on top of the
+ * spent usage and the calls still in flight, would break a configured limit (`maxCallsPerRun`,
+ * `maxTokensPerRun`, `maxCostPerRun`; 0 = unlimited), otherwise null.
+ */
+const checkBudget = (stats, config, next) => {
+    const { reserved } = stats;
+    if (config.maxCallsPerRun > 0 && stats.calls + reserved.calls + next.calls > config.maxCallsPerRun) {
+        return `call limit of ${config.maxCallsPerRun} reached`;
+    }
+    if (config.maxTokensPerRun > 0 && stats.inputTokens + stats.outputTokens + reserved.tokens + next.tokens > config.maxTokensPerRun) {
+        return `token limit of ${config.maxTokensPerRun} reached`;
+    }
+    if (config.maxCostPerRun > 0 && stats.estimatedCost + reserved.cost + next.cost > config.maxCostPerRun) {
+        return `cost limit of ${config.maxCostPerRun} reached`;
+    }
+    return null;
+};
+
+/**
+ * Reserves `estimate` for a call about to be sent. Returns the reason when that would break the
+ * budget (nothing is reserved), otherwise null; `releaseCall` undoes it once the call is recorded.
+ */
+const reserveCall = (stats, config, estimate) => {
+    const reason = checkBudget(stats, config, estimate);
+    if (reason) return reason;
+    stats.reserved.calls += estimate.calls;
+    stats.reserved.tokens += estimate.tokens;
+    stats.reserved.cost += estimate.cost;
+    return null;
+};
+
+const releaseCall = (stats, estimate) => {
+    stats.reserved.calls -= estimate.calls;
+    stats.reserved.tokens -= estimate.tokens;
+    stats.reserved.cost -= estimate.cost;
+};
+
+const round = (n, digits = 4) => Math.round(n * Math.pow(10, digits)) / Math.pow(10, digits);
+
+/**
+ * Final run summary. `counts` carries pipeline-level numbers (failures, clusters, enriched, fallbacks).
+ */
+const buildRunSummary = (stats, counts, meta) => ({
+    ...meta,
+    startedAt: stats.startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - Date.parse(stats.startedAt),
+    ...counts,
+    calls: stats.calls,
+    failedCalls: stats.failedCalls,
+    cacheHits: stats.cacheHits,
+    inputTokens: stats.inputTokens,
+    outputTokens: stats.outputTokens,
+    estimatedCost: round(stats.estimatedCost),
+    budgetExceeded: stats.budgetExceeded,
+    models: Object.fromEntries(Object.entries(stats.models).map(([model, m]) => [model, {
+        ...m,
+        avgLatencyMs: m.calls ? Math.round(m.latencyMs / m.calls) : 0,
+        estimatedCost: round(m.estimatedCost)
+    }]))
+});
+
+/**
+ * Prints the per-model table and writes the summary JSON (when `file` is set).
+ */
+const reportRunSummary = (summary, file) => {
+    const rows = Object.entries(summary.models).map(([model, m]) => ({
+        model,
+        calls: m.calls,
+        failed: m.failedCalls,
+        "input tokens": m.inputTokens,
+        "output tokens": m.outputTokens,
+        "avg latency (ms)": m.avgLatencyMs,
+        "est. cost": m.estimatedCost
+    }));
+
+    console.log(`[INFO] AI run summary: ${summary.calls} call(s) (${summary.failedCalls} failed), ${summary.cacheHits} cache hit(s), ${summary.enriched}/${summary.failures} enriched, ${summary.fallbacks} fallback(s), ${summary.inputTokens + summary.outputTokens} token(s), est. cost ${summary.estimatedCost}.`);
+    if (rows.length) console.table(rows);
+    if (summary.budgetExceeded) console.warn(`[WARN] Enrichment stopped early: ${summary.budgetExceeded}.`);
+    if (summary.openCircuits?.length) console.warn(`[WARN] Skipped after repeated failures (circuit open): ${summary.openCircuits.join(", ")}.`);
+
+    if (!file) return;
+    try {
+        writeJsonAtomic(file, summary);
+        console.log(`[INFO] Run summary saved to ${file}`);
+    } catch (e) {
+        console.warn(`[WARN] Failed to write run summary: ${e.message}`);
+    }
+};
+
+module.exports = {
+    BUDGET_EXCEEDED,
+    createRunStats,
+    resolveUsage,
+    recordCall,
+    estimateCall,
+    checkBudget,
+    reserveCall,
+    releaseCall,
+    buildRunSummary,
+    reportRunSummary
+};
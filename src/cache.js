@@ -0,0 +1,101 @@
+/**
+ * TestAIgnite - Persistent AI Insight Cache
+ *
+ * Stores one JSON file per failure fingerprint under `.testaignite/cache` so a failure
+ * that repeats across nightly runs costs a single model call and yields a stable analysis.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const listEntries = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => {
+            const file = path.join(dir, f);
+            const stat = fs.statSync(file);
+            return { file, size: stat.size, mtimeMs: stat.mtimeMs };
+        });
+};
+
+/**
+ * Creates a cache bound to `dir`. When disabled, every lookup misses and nothing is written.
+ */
+const createInsightCache = ({ dir, enabled = true, ttlDays = 14, maxEntries = 1000, maxSizeMb = 50 }) => {
+    const ttlMs = ttlDays > 0 ? ttlDays * DAY_MS : Infinity;
+    const fileFor = (key) => path.join(dir, `${key}.json`);
+
+    const get = (key) => {
+        if (!enabled) return null;
+        const file = fileFor(key);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+            if (Date.now() - entry.createdAt > ttlMs) {
+                fs.rmSync(file, { force: true });
+                return null;
+            }
+            return entry.insight;
+        } catch (e) {
+            // Corrupt entry: drop it and treat as a miss
+            fs.rmSync(file, { force: true });
+            return null;
+        }
+    };
+
+    const set = (key, insight, meta = {}) => {
+        if (!enabled) return;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(fileFor(key), JSON.stringify({ createdAt: Date.now(), ...meta, insight }, null, 2));
+        } catch (e) {
+            console.warn(`[WARN] Failed to write AI cache entry: ${e.message}`);
+        }
+    };
+
+    /**
+     * Drops expired entries, then the oldest ones until both size limits hold.
+     */
+    const prune = () => {
+        if (!enabled) return 0;
+        const now = Date.now();
+        let removed = 0;
+        let entries = listEntries(dir);
+
+        entries = entries.filter((e) => {
+            if (now - e.mtimeMs <= ttlMs) return true;
+            fs.rmSync(e.file, { force: true });
+            removed++;
+            return false;
+        });
+
+        entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        const maxBytes = maxSizeMb * 1024 * 1024;
+        let totalBytes = entries.reduce((acc, e) => acc + e.size, 0);
+
+        while (entries.length && (entries.length > maxEntries || totalBytes > maxBytes)) {
+            const oldest = entries.shift();
+            fs.rmSync(oldest.file, { force: true });
+            totalBytes -= oldest.size;
+            removed++;
+        }
+        return removed;
+    };
+
+    return { get, set, prune };
+};
+
+/**
+ * Removes every cached insight in `dir`. Returns the number of entries deleted.
+ */
+const clearInsightCache = (dir) => {
+    const entries = listEntries(dir);
+    entries.forEach((e) => fs.rmSync(e.file, { force: true }));
+    return entries.length;
+};
+
+module.exports = { createInsightCache, clearInsightCache };
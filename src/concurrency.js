@@ -0,0 +1,79 @@
+/**
+ * TestAIgnite - Concurrency Helpers
+ *
+ * A bounded worker pool for fanning enrichment out across every report part,
+ * and a per-key token bucket so each model stays inside its requests-per-minute quota.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `worker(item, index)` over `items` with at most `concurrency` in flight.
+ * Workers are expected to handle their own errors.
+ */
+const runPool = async (items, concurrency, worker) => {
+    let next = 0;
+    const size = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+
+    const runners = Array.from({ length: size }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+};
+
+/**
+ * Creates a token-bucket limiter keyed by model id.
+ * `limitFor(key)` returns the requests-per-minute for that key (0 / Infinity = unlimited).
+ */
+const createRateLimiter = ({ limitFor, burst = 1 }) => {
+    const buckets = new Map();
+
+    const getBucket = (key) => {
+        if (!buckets.has(key)) {
+            const rpm = Number(limitFor(key)) || 0;
+            const capacity = Math.max(1, burst);
+            buckets.set(key, {
+                rpm,
+                capacity,
+                tokens: capacity,
+                ratePerMs: rpm / 60000,
+                last: Date.now(),
+                chain: Promise.resolve()
+            });
+        }
+        return buckets.get(key);
+    };
+
+    const refill = (bucket) => {
+        const now = Date.now();
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.last) * bucket.ratePerMs);
+        bucket.last = now;
+    };
+
+    /**
+     * Resolves once a request for `key` may be sent. Callers are served in FIFO order.
+     */
+    const acquire = (key) => {
+        const bucket = getBucket(key);
+        if (!bucket.rpm || !Number.isFinite(bucket.rpm)) return Promise.resolve();
+
+        const turn = bucket.chain.then(async () => {
+            refill(bucket);
+            if (bucket.tokens < 1) {
+                await sleep(Math.ceil((1 - bucket.tokens) / bucket.ratePerMs));
+                refill(bucket);
+            }
+            bucket.tokens -= 1;
+        });
+        bucket.chain = turn.catch(() => { });
+        return turn;
+    };
+
+    return { acquire };
+};
+
+module.exports = { runPool, createRateLimiter, sleep };
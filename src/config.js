@@ -0,0 +1,36 @@
+/**
+ * TestAIgnite - Project Configuration Loader
+ *
+ * Looks for an optional `testaignite.config.js` or `testaignite.config.json`
+ * in the project root so teams can pin provider, model and pipeline settings
+ * without passing options on every CLI invocation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILES = ["testaignite.config.js", "testaignite.config.json"];
+
+/**
+ * Loads the first project config file found in `cwd`. Returns {} if none exists.
+ */
+const loadProjectConfig = (cwd = process.cwd()) => {
+    for (const name of CONFIG_FILES) {
+        const file = path.join(cwd, name);
+        if (!fs.existsSync(file)) continue;
+
+        try {
+            const loaded = name.endsWith(".json")
+                ? JSON.parse(fs.readFileSync(file, "utf-8"))
+                : require(file);
+            console.log(`[INFO] Loaded project config from ${name}`);
+            return loaded || {};
+        } catch (e) {
+            console.warn(`[WARN] Failed to load ${name}: ${e.message}`);
+            return {};
+        }
+    }
+    return {};
+};
+
+module.exports = { loadProjectConfig };
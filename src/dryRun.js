@@ -0,0 +1,83 @@
+/**
+ * TestAIgnite - Dry Run / Prompt Preview
+ *
+ * Shows exactly what `report:ai` would send for each failure without contacting a provider
+ * or modifying any report: prompts are printed or written to a folder for review, together
+ * with an estimated token count per failure and for the whole run.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Rough heuristic for English text and code (~4 characters per token); good enough for sizing, not billing.
+const CHARS_PER_TOKEN = 4;
+
+const estimateTokens = (text) => Math.ceil((text || "").length / CHARS_PER_TOKEN);
+
+const slugify = (str) => (str || "failure")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+/**
+ * Prints or writes the prompt previews. `entries` are `{ title, reportPath, clusterId, clusterSize, calls, prompt }`,
+ * where `calls` is the number of models the prompt goes to (ensemble mode). `summaryPrompt` is the
+ * executive summary call, when one would be made.
+ * With `outDir`, each prompt goes to its own numbered .txt file next to an index.json summary.
+ */
+const previewPrompts = (entries, { outDir, summaryPrompt = null } = {}) => {
+    const rows = entries.map((entry, i) => ({
+        index: i + 1,
+        title: entry.title,
+        report: path.basename(entry.reportPath),
+        clusterId: entry.clusterId || null,
+        clusterSize: entry.clusterSize,
+        calls: entry.calls || 1,
+        estimatedTokens: estimateTokens(entry.prompt)
+    }));
+    const summary = summaryPrompt ? { estimatedTokens: estimateTokens(summaryPrompt) } : null;
+    const totalCalls = rows.reduce((acc, r) => acc + r.calls, 0) + (summary ? 1 : 0);
+    const totalTokens = rows.reduce((acc, r) => acc + r.estimatedTokens * r.calls, 0) + (summary?.estimatedTokens || 0);
+
+    if (outDir) {
+        const dir = path.resolve(outDir);
+        fs.mkdirSync(dir, { recursive: true });
+        entries.forEach((entry, i) => {
+            const file = `${String(i + 1).padStart(3, "0")}-${slugify(entry.title)}.txt`;
+            fs.writeFileSync(path.join(dir, file), entry.prompt);
+            rows[i].file = file;
+        });
+        if (summary) {
+            summary.file = "executive-summary.txt";
+            fs.writeFileSync(path.join(dir, summary.file), summaryPrompt);
+        }
+        fs.writeFileSync(
+            path.join(dir, "index.json"),
+            JSON.stringify({ generatedAt: new Date().toISOString(), totalTokens, totalCalls, prompts: rows, summary }, null, 2)
+        );
+        console.log(`[INFO] Wrote ${entries.length} prompt(s) to ${dir}`);
+    } else {
+        entries.forEach((entry, i) => {
+            console.log(`\n===== [${i + 1}/${entries.length}] ${entry.title} (~${rows[i].estimatedTokens} tokens) =====`);
+            console.log(entry.prompt);
+        });
+        if (summary) {
+            console.log(`\n===== Executive summary (~${summary.estimatedTokens} tokens, stand-in analyses) =====`);
+            console.log(summaryPrompt);
+        }
+        console.log("");
+    }
+
+    rows.forEach((r) => {
+        const models = r.calls > 1 ? ` x${r.calls} models` : "";
+        const shared = r.clusterSize > 1 ? ` x${r.clusterSize} tests` : "";
+        console.log(`  > [${r.index}/${rows.length}] ~${r.estimatedTokens} tokens${models}${shared}: "${r.title}"`);
+    });
+    if (summary) console.log(`  > Executive summary ~${summary.estimatedTokens} tokens`);
+    console.log(`[INFO] Estimated prompt tokens: ~${totalTokens} across ${totalCalls} AI call(s) (retries and schema repairs not included).`);
+
+    return { totalTokens, totalCalls, prompts: rows, summary };
+};
+
+module.exports = { previewPrompts, estimateTokens };
@@ -2,7 +2,7 @@
  * TestAIgnite - Module 4: AI Enrichment Pipeline
  * 
  * Objective: Add deterministic, offline-safe intelligence to Cypress test reports.
- * Strategy: Post-processing of TestAIgnite JSON using Hugging Face Inference API.
+ * Strategy: Post-processing of TestAIgnite JSON using a pluggable AI provider (Hugging Face by default).
  * 
  * AUTHOR: Ayooluwa Paul QA Developer
  * CONSTRAINTS: No GPU, System requirement deficits, strict word limits, fail-safe, non-blocking.
@@ -12,44 +12,153 @@
 
 const fs = require("fs");
 const path = require("path");
-const { HfInference } = require("@huggingface/inference");
 const { glob } = require("glob");
+const { createProvider } = require("./providers");
+const { withRecorder } = require("./recording");
+const { readJson, writeJsonAtomic } = require("./fsUtils");
+const { sidecarKey, loadSidecar, saveSidecar, findInsight } = require("./sidecar");
+const { createSelector, withHistory, toMatcher } = require("./selection");
+const { generateExecutiveSummary, buildSummaryInput, buildSummaryPrompt, placeholderSummaryInput } = require("./executiveSummary");
+const { detectFlaky } = require("./flaky");
+const { getRulesInsight } = require("./knowledgeBase");
+const { mergeInsights } = require("./ensemble");
+const { classifyFailure, routeModels, SIMPLE } = require("./routing");
+const { loadTriageRules, findSkipRule, applyTriageRules } = require("./triageRules");
+const { loadKnownIssues } = require("./knownIssues");
+const { loadFeedbackStore, mergeFeedback, createExampleSelector, toPromptExample } = require("./feedback");
+const { loadHistory, recordHistory, createHistoryIndex, toSeenBefore, toPromptHistory } = require("./historyIndex");
+const { BUDGET_EXCEEDED, createRunStats, resolveUsage, recordCall, estimateCall, reserveCall, releaseCall, buildRunSummary, reportRunSummary } = require("./accounting");
+const { loadProjectConfig } = require("./config");
+const { runPool, createRateLimiter, sleep } = require("./concurrency");
+const { withTimeout, backoffDelay, isRetryableError, isFatalError, statusOf, createCircuitBreaker } = require("./retry");
+const { createInsightCache, clearInsightCache } = require("./cache");
+const { normalizeError, hashParts, failureFingerprint, clusterFailures } = require("./fingerprint");
+const { INSIGHT_SCHEMA, SEVERITIES, extractJson, validateInsight, schemaFor, resolveLimit, countWords } = require("./insightSchema");
+const { loadPromptTemplate, promptText } = require("./prompts");
+const { detectInjection, findSteeredFields, describeInjection } = require("./promptInjection");
+const { applyGrounding, buildEvidence } = require("./grounding");
+const { buildSourceContext, loadCustomCommands, failingStatement } = require("./sourceContext");
+const { previewPrompts } = require("./dryRun");
+const { createRedactor, redactPromptInputs, redactDeep, describeCounts } = require("./redaction");
 
 // --- CONFIGURATION ---
 const DEFAULT_CONFIG = {
     // Candidate report files to enrich
     reportsDir: path.join(process.cwd(), "cypress", "reports", ".jsons"),
     fallbackReport: path.join(process.cwd(), "cypress", "reports", "results.json"),
+    // AI backend: "huggingface" | "openai-compatible" | "ollama" | path to a custom provider module
+    provider: "huggingface",
+    // Per-provider settings, e.g. { ollama: { baseUrl, models }, "openai-compatible": { baseUrl, apiKey, models } }
+    providers: {},
     // Prioritized models: Higher parameter counts/quality, falling back to efficiency.
     models: [
         "meta-llama/Meta-Llama-3-8B-Instruct",   // Stronger general purpose & reasoning
         "mistralai/Mixtral-8x7B-Instruct-v0.1",  // High-performance MoE (may hit rate limits, but worth try)
         "microsoft/Phi-3-mini-4k-instruct"       // Efficient fallback
     ],
+    // Cost-aware routing: plain timeouts and missing selectors try the cheap model(s) first
+    routing: true,
+    cheapModels: null, // Defaults to the last (most efficient) entry of `models`
     // Safety thresholds
-    concurrency: 1, // Sequential processing to avoid rate limits
-    timeoutMs: 15000,
-    maxRetries: 1, // Per model
+    concurrency: 1, // Parallel AI calls across all report parts; raise alongside your rate limits
+    requestsPerMinute: 0, // Per model token bucket; 0 (default) disables throttling
+    modelRequestsPerMinute: {}, // Per-model overrides, e.g. { "microsoft/Phi-3-mini-4k-instruct": 60 }
+    timeoutMs: 15000, // Per AI call
+    maxRetries: 1, // Per model, for timeouts, 429 and 5xx only
+    circuitBreakerThreshold: 3, // Consecutive failed calls before a model is skipped for the rest of the run; 0 disables
+    retryBaseDelayMs: 1000, // Exponential backoff base (jittered), unless the server sends Retry-After
+    retryMaxDelayMs: 30000,
+    deadlineMs: 10 * 60 * 1000, // Whole enrichment run; remaining failures get fallback insights. 0 disables
     minRecommendWords: 30,
-    maxRecommendWords: 45
+    maxRecommendWords: 45,
+    maxRepairAttempts: 1, // Re-prompts with validation errors when the model output breaks the schema
+    // Prompt customization: Handlebars template paths, stable id, template variables and extra output fields
+    promptTemplate: null, // Failure data (user message)
+    systemPromptTemplate: null, // Instructions (system message)
+    systemMessage: true, // false merges the system message into the user message, for models without a system role
+    promptId: null,
+    promptVariables: {},
+    extraFields: {}, // e.g. { riskArea: { description: "Affected payment flow", enum: ["checkout", "payout"], required: true } }
+    // Scan error output for instruction-like text; answers whose severity or tags follow it are rejected
+    injectionCheck: true,
+    keepSteeredAnswers: false, // true keeps such answers, flagged and down-weighted instead
+    injectionConfidencePenalty: 0.5, // Confidence multiplier for kept answers
+    // Look up selectors, URLs, status codes and element names cited by the insight in the failure evidence
+    grounding: true,
+    groundingPenalty: 0.15, // Confidence lost per claim not found in the evidence
+    groundingMinConfidence: 0.1,
+    // Spec source excerpt around the failing line (resolved from the stack) plus used custom commands
+    sourceContext: true,
+    projectRoot: process.cwd(),
+    supportDir: path.join("cypress", "support"),
+    sourceContextLines: 6, // Lines shown above and below the failing line
+    maxCustomCommands: 3,
+    // Project triage rules (severity, owner, known issue, skip AI); inline array or rules file
+    triageRules: null,
+    triageRulesFile: "testaignite.rules.json",
+    // Human-corrected verdicts (imported with `feedback:import`) used as few-shot prompt examples
+    feedbackStore: path.join(process.cwd(), ".testaignite", "feedback.json"),
+    fewShotExamples: 2, // 0 disables
+    fewShotMinSimilarity: 0.3, // Error-text overlap (0-1) required; same fingerprint always qualifies
+    // Local history of analysed failures; similar past failures are shown to the model and in the report
+    history: true,
+    historyPath: path.join(process.cwd(), ".testaignite", "history.json"),
+    historyMaxEntries: 2000,
+    similarFailures: 3, // Past failures per prompt (0 disables retrieval, history is still recorded)
+    similarFailuresMinScore: 0.35, // TF-IDF cosine similarity (0-1)
+    // Local registry of tracked failures (ticket id, URL, status, expiry); inline array or file
+    knownIssues: null,
+    knownIssuesFile: "testaignite.known-issues.json",
+    // Offline insights from the built-in Cypress error knowledge base when the AI is unavailable
+    knowledgeBase: true,
+    // Also analyze tests that failed an attempt but passed after a Cypress retry (flakiness-focused prompt)
+    analyzeFlaky: true,
+    // Group failures with the same normalized error and analyze one representative per group
+    clustering: true,
+    // Ensemble mode: query several models per failure and merge their verdicts (agreement recorded on `ai.ensemble`)
+    ensemble: false, // true, or a spec file pattern (regex) limiting it to critical-path specs
+    ensembleModels: null, // Defaults to every configured model
+    ensembleMinModels: 2, // Fewer answers than this marks the ensemble as incomplete
+    ensembleAgreement: 0.67, // Share of models that must back the majority severity
+    ensembleConfidencePenalty: 0.5, // Confidence multiplier when models disagree
+    // Persistent insight cache keyed by failure fingerprint + prompt version + model
+    cache: true,
+    cacheDir: path.join(process.cwd(), ".testaignite", "cache"),
+    cacheTtlDays: 14,
+    cacheMaxEntries: 1000,
+    cacheMaxSizeMb: 50,
+    // Record provider request/response pairs as fixtures for the "replay" provider
+    record: false,
+    fixturesDir: path.join(process.cwd(), ".testaignite", "fixtures"),
+    // Mask secrets and PII in everything rendered into prompts (and optionally the HTML payload)
+    redaction: true,
+    redactionRules: [], // e.g. [{ name: "internal-host", pattern: "\\b[a-z0-9-]+\\.corp\\.acme\\.net\\b", flags: "i" }]
+    redactHtml: false,
+    // Non-destructive mode: leave reports untouched and write insights to a sidecar merged at render time
+    sidecar: false,
+    sidecarPath: path.join(process.cwd(), "cypress", "reports", "insights.json"),
+    // One extra call summarizing all insights for a release decision (stored as report-level `aiSummary`)
+    executiveSummary: true,
+    // Cost accounting and per-run budget (0 = unlimited). pricing: { "<model>": { inputPer1k, outputPer1k } }
+    pricing: {},
+    maxCallsPerRun: 0,
+    maxTokensPerRun: 0,
+    maxCostPerRun: 0,
+    runSummaryPath: path.join(process.cwd(), "cypress", "reports", "ai-run-summary.json"),
+    // Re-enrichment of tests that already carry an insight (previous insight kept in `ai.history`)
+    force: false, // Re-analyze every selected failure
+    onlyFallback: false, // Re-analyze only fallback, degraded or low-confidence insights
+    minConfidence: 0.5, // Below this an insight counts as low-confidence for onlyFallback
+    grep: null, // Title pattern (regex, case-insensitive); matching tests are refreshed
+    spec: null, // Spec file pattern (regex, case-insensitive)
+    maxInsightHistory: 5,
+    // Render prompts and token estimates only: no provider calls, no report or cache writes
+    dryRun: false,
+    dryRunDir: null // Write previews here instead of printing them
 };
 
 // --- UTILITIES ---
 
-const readJson = (p) => {
-    try {
-        return JSON.parse(fs.readFileSync(p, "utf-8"));
-    } catch (e) {
-        return null;
-    }
-};
-
-const writeJson = (p, data) => fs.writeFileSync(p, JSON.stringify(data, null, 2));
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const countWords = (str) => (str || "").trim().split(/\s+/).length;
-
 const cleanText = (str) => (str || "").replace(/\n/g, " ").replace(/\s+/g, " ").trim();
 
 /**
@@ -60,7 +169,7 @@ const deriveTags = (errorMsg, fullTitle) => {
     const tags = new Set();
 
     if (text.includes("timeout") || text.includes("waited")) tags.add("timing");
-    if (text.includes("get") || text.includes("find") || text.includes("contains")) tags.add("selector");
+    if (/\bcy\.(get|find|contains)\b|expected to find|never found it/.test(text)) tags.add("selector");
     if (text.includes("401") || text.includes("403") || text.includes("login")) tags.add("auth");
     if (text.includes("500") || text.includes("fetch") || text.includes("network")) tags.add("network");
     if (text.includes("expect") || text.includes("assert")) tags.add("assertion");
@@ -71,189 +180,379 @@ const deriveTags = (errorMsg, fullTitle) => {
 // --- CORE AI LOGIC ---
 
 /**
- * Constructs the strict system prompt for the AI model.
+ * Parses a raw model answer and validates it against the insight schema.
  */
-const buildPrompt = (test) => {
-    const err = test.err || {};
-    const context = {
-        title: test.fullTitle || test.title,
-        error: err.message || "Unknown error",
-        stack: (err.stack || err.estack || "").split("\n").slice(0, 3).join(" "), // Truncate stack for token limits
-        code: (test.code || "").slice(0, 500), // Include snippet of test code, capped length
-        duration: test.duration,
-        retries: test.retries
-    };
-
-    return `
-You are a Distinguished QA DevOps Engineer and an expert Product Manager.
-Your role is to analyze failures with surgical precision while teaching the user how to build resilient, enterprise-grade automation.
-Focus on "Systemic Reliability", "Root Cause Analysis", and "Best Practices".
-
-ADOPT A BALANCED PERSPECTIVE:
-- Do not default to blaming the test logic.
-- If the test attempted a valid user action (e.g., click) and the system failed to respond (e.g., no navigation), that is a PRODUCT ISSUE.
-- Distinguish clearly between "The test failed to check X" (Test Issue) and "The test checked X, and X was broken" (Product Issue).
+const parseModelOutput = (raw, config) => {
+    const data = extractJson(raw);
+    if (!data) return { data: null, errors: [{ field: "(root)", message: "is not a valid JSON object" }] };
+    return { data, errors: validateInsight(data, config, schemaFor(config.extraFields)) };
+};
 
-Test Context:
-- Test Name: "${context.title}"
-- Error Message: "${context.error}"
-- Code Snippet: "${context.code}"
-- Stack Trace: "${context.stack}"
-- Duration: ${context.duration}ms
+/**
+ * Re-prompt sent when the previous answer failed schema validation.
+ */
+const buildRepairPrompt = (errors) => `
+Your previous answer did not satisfy the required JSON schema:
+${errors.map((e) => `- ${e.field}: ${e.message}`).join("\n")}
 
+Return the complete, corrected JSON object with every field from the schema.
+Output MUST be strictly valid JSON. No markdown. No extra commentary.
+`.trim();
 
-OUTPUT INSTRUCTIONS:
-Produce a JSON object compliant with this schema:
-{
-  "summary": "Technical executive summary (max 15 words).",
+const truncateWords = (str, max) => str.split(" ").slice(0, max).join(" ");
 
-  "humanError": "Translate the Cypress error into a clear, educational statement for non-QA stakeholders (max 20 words).",
+/**
+ * Validates and sanitizes the AI response.
+ * Fields that violate the schema are replaced with defaults (or truncated to their word limit)
+ * and recorded on `quality`. An answer with any remaining validation error is "degraded", so a
+ * half-broken answer never passes as a clean insight.
+ */
+const validateAndSanitize = ({ data, errors }, originalTest, config, repairAttempts = 0) => {
+    if (!data) throw new Error("Malformed JSON response");
 
-  "testRootCause": "Analyze execution logic. Did the test script fail to wait? Did it assert the wrong thing? If the test logic is sound but the app behaved incorrectly, explicitly state 'Test logic appears sound'.",
+    const defaulted = [];
+    const truncated = [];
 
-  "productRootCause": "Infer product defects when the application fails to meet the contract implied by the test. If a button was clicked and nothing happened, that is a PRODUCT DEFECT. If a spinner never disappeared, that is a PRODUCT LATENCY DEFECT.",
+    const text = (field, fallback) => {
+        const value = typeof data[field] === "string" ? cleanText(data[field]) : "";
+        if (!value) {
+            defaulted.push(field);
+            return fallback;
+        }
+        const max = resolveLimit(INSIGHT_SCHEMA.properties[field].maxWords, config);
+        if (max && countWords(value) > max) {
+            truncated.push(field);
+            return truncateWords(value, max);
+        }
+        return value;
+    };
 
-  "bugEffect": "Explain the realistic business or user-experience impact IF this defect propagates to production. Do not exaggerate.",
+    const severity = typeof data.severity === "string" && SEVERITIES.includes(data.severity.toLowerCase())
+        ? data.severity.toLowerCase()
+        : (defaulted.push("severity"), "medium");
 
-  "inferredExpected": "Define the correct system behavior using strict declarative subjunctive mood. Start with 'The [component] should...'.",
+    const confidence = typeof data.confidence === "number" && Number.isFinite(data.confidence)
+        ? Math.min(Math.max(data.confidence, 0), 1)
+        : (defaulted.push("confidence"), 0.5);
 
-  "recommendation": "Prescriptive fix. Distinguish clearly: 'Fix the Test' vs 'Fix the Product'. Explain WHY this is the correct remediation.",
+    let tags = Array.isArray(data.tags) ? data.tags.filter((t) => typeof t === "string" && t.trim()) : [];
+    if (tags.length > 5) truncated.push("tags");
+    if (!tags.length) {
+        defaulted.push("tags");
+        tags = deriveTags(originalTest.err?.message, originalTest.title);
+    }
 
-  "severity": "low" | "medium" | "high" | "critical",
+    // Project-defined extra fields flow through untouched when valid
+    const extra = {};
+    Object.entries(config.extraFields || {}).forEach(([field, spec]) => {
+        const value = data[field];
+        if (value === undefined || value === null || errors.some((e) => e.field === field)) {
+            if (spec.required) defaulted.push(field);
+            return;
+        }
+        extra[field] = typeof value === "string" ? cleanText(value) : value;
+    });
 
-  "confidence": <number between 0.0 and 1.0>,
+    return {
+        summary: text("summary", "Investigate failure reason."),
+        humanError: text("humanError", "An error occurred during the test execution."),
+        testRootCause: text("testRootCause", "Assertion or selector failure detected in test code."),
+        productRootCause: text("productRootCause", "Possible defect in application logic or responsiveness."),
+        bugEffect: text("bugEffect", "User flow is blocked or behavior is inconsistent."),
+        inferredExpected: text("inferredExpected", "The application should behave as defined in the test requirement."),
+        recommendation: text("recommendation", "Manual review required. Check the error logs and screenshot artifacts to diagnose the issue."),
+        severity,
+        confidence,
+        tags: tags.slice(0, 5),
+        ...(Object.keys(extra).length ? { extra } : {}),
+        quality: {
+            status: defaulted.length || errors.length ? "degraded" : repairAttempts ? "repaired" : "valid",
+            repairAttempts,
+            defaulted,
+            truncated,
+            issues: errors.map((e) => `${e.field} ${e.message}`)
+        }
+    };
+};
 
-  "tags": ["<tag1>", "<tag2>", ...]
-}
+/**
+ * Counts a failed call against the model's circuit breaker.
+ */
+const MAX_OUTPUT_TOKENS = 500; // Increased to prevent cutoffs
 
-INFERENCE RULES (BAKED-IN LOGIC)
+const recordModelFailure = (session, model) => {
+    if (session.breaker.failure(model)) {
+        console.warn(`    ! ${model} failed ${session.config.circuitBreakerThreshold} calls in a row; skipping it for the rest of the run.`);
+    }
+};
 
-1. Determine Test Intent FIRST:
-   a. Infer intent from test title, test description, and assertion type.
-   b. Examples:
-      - Navigation test → "User expects URL change"
-      - Security test → "User expects Access Denied"
-      - Form test → "User expects validation success"
+/**
+ * Sends one chat request to `model`, honoring the run budget, circuit breaker, rate limiter and
+ * per-call timeout. Every call is recorded in `session.stats`; resolves to { content, usage, latencyMs }.
+ */
+const requestCompletion = async (session, model, messages) => {
+    const { stats, config } = session;
+    if (session.breaker.isOpen(model)) throw new Error(`Circuit open for ${model}`);
+
+    // Reserved up front so calls already in flight count against the budget
+    const estimate = estimateCall(model, messages, MAX_OUTPUT_TOKENS, config.pricing);
+    const overBudget = reserveCall(stats, config, estimate);
+    if (overBudget) {
+        stats.budgetExceeded = overBudget;
+        throw new Error(BUDGET_EXCEEDED);
+    }
 
-2. Deduction Weights (Logic Guardrails):
-   a. [HIGH PRODUCT PROBABILITY]: Action performed (Click/Type) -> No Side Effect observed.
-      (e.g., "Expected URL to change, but it did not"). This implies the application ignored input.
-   b. [HIGH TEST PROBABILITY]: Syntax Error, Undefined Variable, or Invalid Selector.
-      (e.g., "cy.get(...) failed because element not found"). NOTE: If element SHOULD be there but isn't, it might be product regression, but usually implies selector drift.
-   c. [SHARED PROBABILITY]: Timeouts (4000ms+).
-      - If the app is just slow? -> Product Performance.
-      - If the test didn't wait enough? -> Test Logic.
-   d. [ZERO EFFECT]: If a test clicks a button and assertions assume a new page, but the URL remains the same, do NOT say "Test failed to wait". Say "Button click triggered no action".
+    let started = Date.now();
+    let response;
+    try {
+        await session.limiter.acquire(model);
+        started = Date.now();
+        response = await withTimeout((signal) => session.provider.chatCompletion({
+            model: model,
+            messages,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            temperature: 0.3, // Pedagogical tone requires slightly more freedom
+            top_p: 0.95
+        }, { signal }), callTimeout(session));
+    } catch (err) {
+        releaseCall(stats, estimate);
+        recordCall(stats, { model, latencyMs: Date.now() - started, ok: false, pricing: config.pricing });
+        recordModelFailure(session, model);
+        throw err;
+    }
 
-3. Evaluate Assertion Coherence:
-   a. If assertion is brittle (e.g. matching exact text that changes often), suspect **Test Issue**.
-   b. If assertion is robust (e.g. checking URL after click) and fails, suspect **Product Issue**.
+    const latencyMs = Date.now() - started;
+    const usage = resolveUsage(response.usage, messages, response.content);
+    releaseCall(stats, estimate);
+    recordCall(stats, { model, usage, latencyMs, ok: Boolean(response.content), pricing: config.pricing });
 
-4. Severity Calibration:
-   a. Low: Copy, cosmetic, weak text assertions.
-   b. Medium: Functional UI inconsistencies.
-   c. High: Broken navigation, failed contracts, unresponsive interactive elements.
-   d. Critical: Security, data integrity, auth, or release-blocking paths.
+    if (!response.content) {
+        recordModelFailure(session, model);
+        throw new Error("Empty response");
+    }
+    session.breaker.success(model);
+    return { content: response.content, usage, latencyMs };
+};
 
-5. Pedagogical Tone Requirement:
-   a. Explain failures as a senior QA architect would.
-   b. Be objective. If the product failed, say so.
-   c. Avoid generic advice or filler.
+/**
+ * Audit trail for an insight produced by `calls` (the initial request plus any repair rounds).
+ */
+const buildProvenance = (session, model, attempt, calls) => ({
+    provider: session.provider.name,
+    model,
+    promptId: session.prompt.id,
+    attempt: attempt + 1,
+    calls: calls.length,
+    latencyMs: calls.reduce((acc, c) => acc + c.latencyMs, 0),
+    inputTokens: calls.reduce((acc, c) => acc + c.usage.inputTokens, 0),
+    outputTokens: calls.reduce((acc, c) => acc + c.usage.outputTokens, 0),
+    tokensEstimated: calls.some((c) => c.usage.estimated),
+    timestamp: new Date().toISOString()
+});
+
+const DEADLINE_EXCEEDED = "Enrichment deadline exceeded";
+
+const isPastDeadline = (session) => Boolean(session.deadline) && Date.now() >= session.deadline;
 
-6. Output Rules:
-   a. Output MUST be strictly valid JSON.
-   b. No markdown.
-   c. No extra commentary.
-`.trim();
+/**
+ * Per-call timeout, shortened so no call outlives the global enrichment deadline.
+ */
+const callTimeout = (session) => {
+    const { timeoutMs } = session.config;
+    if (!session.deadline) return timeoutMs;
+    return Math.max(1, Math.min(timeoutMs, session.deadline - Date.now()));
 };
 
 /**
- * Validates and sanitizes the AI response.
+ * Cache key for a failure analysed by `model` with prompt `promptId`. Volatile parts of the error are normalized away.
  */
-const validateAndSanitize = (rawJson, originalTest) => {
-    let data;
-    try {
-        // Attempt to extract JSON if wrapped in markdown blocks
-        const match = rawJson.match(/\{[\s\S]*\}/);
-        const jsonStr = match ? match[0] : rawJson;
-        data = JSON.parse(jsonStr);
-    } catch (e) {
-        throw new Error("Malformed JSON response");
-    }
+const cacheKeyFor = (test, model, promptId, extras = {}) => hashParts(
+    normalizeError(test.err?.message),
+    test.fullTitle || test.title,
+    test.code,
+    extras.source?.excerpt,
+    extras.flaky ? "flaky" : "",
+    (extras.examples || []).map((e) => e.id).join(","),
+    promptId,
+    model
+);
 
-    // Contract Enforcement
-    const summary = cleanText(data.summary).split(" ").slice(0, 15).join(" ");
+/**
+ * One model's analysis with retries, backoff and self-repair. Resolves to the sanitized insight,
+ * or null when the model gave up (the caller moves on to the next one). An answer that follows
+ * instructions injected in the failure output is rejected and recorded on `extras.injection`
+ * (with `keepSteeredAnswers`, it is kept but loses confidence).
+ * Budget, deadline and credential errors are thrown.
+ */
+const analyzeWithModel = async (test, session, model, prompt, extras) => {
+    const { provider, config, cache } = session;
+    if (session.breaker.isOpen(model)) return null;
 
-    let recommendation = cleanText(data.recommendation);
-    const recWords = recommendation.split(" ");
-    // Soft enforcement on recommendation length (padding if too short, truncation if too long)
-    // Removed strict padding logic to trust the model's new instruction for "complete sentences".
-    if (recommendation.split(" ").length < 10) {
-        recommendation += " Please review the test logic and error stack for more details.";
-    }
-    recommendation = recommendation.replace(/\.\.\.$/, "."); // cleanup trailing dots
+    for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        if (isPastDeadline(session)) throw new Error(DEADLINE_EXCEEDED);
 
-    // Ensure new fields exist with defaults
-    return {
-        summary: summary || "Investigate failure reason.",
-        humanError: data.humanError || "An error occurred during the test execution.",
-        testRootCause: data.testRootCause || "Assertion or selector failure detected in test code.",
-        productRootCause: data.productRootCause || "Possible defect in application logic or responsiveness.",
-        bugEffect: data.bugEffect || "User flow is blocked or behavior is inconsistent.",
-        inferredExpected: data.inferredExpected || "The application should behave as defined in the test requirement.",
-        recommendation: recommendation,
-        severity: ["low", "medium", "high", "critical"].includes(data.severity?.toLowerCase())
-            ? data.severity.toLowerCase()
-            : "medium",
-        confidence: typeof data.confidence === "number" ? Math.min(Math.max(data.confidence, 0), 1) : 0.5,
-        tags: Array.isArray(data.tags) && data.tags.length > 0
-            ? data.tags.slice(0, 5)
-            : deriveTags(originalTest.err?.message, originalTest.title)
-    };
+        try {
+            console.log(`  > Analyzing with ${model}${attempt ? ` (retry ${attempt}/${config.maxRetries})` : ""}...`);
+
+            let messages = prompt;
+            const calls = [await requestCompletion(session, model, messages)];
+            let content = calls[0].content;
+            let result = parseModelOutput(content, config);
+
+            // Self-repair: feed validation errors back to the same model
+            let repairs = 0;
+            while (result.errors.length && repairs < config.maxRepairAttempts) {
+                repairs++;
+                console.log(`  > Repairing ${model} output (${result.errors.length} schema issue(s), attempt ${repairs}/${config.maxRepairAttempts})...`);
+                messages = [
+                    ...messages,
+                    { role: "assistant", content },
+                    { role: "user", content: buildRepairPrompt(result.errors) }
+                ];
+                calls.push(await requestCompletion(session, model, messages));
+                content = calls[calls.length - 1].content;
+                result = parseModelOutput(content, config);
+            }
+
+            const enriched = validateAndSanitize(result, test, config, repairs);
+            if (enriched.quality.status === "degraded") {
+                console.warn(`    ! ${model} output still invalid: ${enriched.quality.issues.join("; ")}`);
+            }
+            const steered = findSteeredFields(enriched, extras.injection);
+            if (steered.length && !config.keepSteeredAnswers) {
+                console.warn(`    ! ${model} answer rejected: its ${steered.join(" and ")} follow instructions injected in the failure output`);
+                extras.injection.steered.push({ model, fields: steered, rejected: true });
+                return null; // Next model, or the fallback insight
+            }
+            if (steered.length) {
+                console.warn(`    ! ${model} answer flagged: its ${steered.join(" and ")} match instructions injected in the failure output`);
+                extras.injection.steered.push({ model, fields: steered, originalConfidence: enriched.confidence });
+                enriched.confidence = Math.round(enriched.confidence * config.injectionConfidencePenalty * 100) / 100;
+            }
+            if (config.grounding !== false) {
+                applyGrounding(enriched, buildEvidence(test, extras), {
+                    penalty: config.groundingPenalty,
+                    minConfidence: config.groundingMinConfidence
+                });
+                if (enriched.grounding?.ungrounded.length) {
+                    console.warn(`    ! ${model} cited ${enriched.grounding.ungrounded.length} claim(s) not found in the failure: ${enriched.grounding.ungrounded.map((u) => u.value).join(", ")}`);
+                }
+            }
+            enriched.modelUsed = model; // Attach model metadata
+            enriched.provider = provider.name;
+            enriched.promptId = session.prompt.id;
+            enriched.provenance = buildProvenance(session, model, attempt, calls);
+            // Never pin a half-broken or possibly steered answer in the cache
+            if (enriched.quality.status !== "degraded" && !steered.length) {
+                cache.set(cacheKeyFor(test, model, session.prompt.id, extras), enriched, { model, title: test.fullTitle || test.title });
+            }
+            return enriched;
+
+        } catch (err) {
+            console.warn(`    x Model ${model} failed: ${err.message}`);
+            if (err.message === BUDGET_EXCEEDED) throw err;
+
+            // Bad credentials affect every model and every remaining test
+            if (isFatalError(err)) {
+                session.fatalError = err;
+                throw err;
+            }
+            if (!isRetryableError(err) || attempt >= config.maxRetries) return null; // Continue to next model
+
+            const delay = backoffDelay(attempt, err, config);
+            if (session.deadline && Date.now() + delay >= session.deadline) throw new Error(DEADLINE_EXCEEDED);
+            await sleep(delay);
+        }
+    }
+    return null;
 };
 
+// Cache "model" for a merged ensemble answer
+const ensembleKey = (models) => `ensemble:${models.join("+")}`;
+
 /**
- * Calls Hugging Face API with retries and model fallbacks.
+ * Ensemble mode: every model analyses the failure and the answers are merged (see ensemble.js).
+ * Running out of budget or time mid-ensemble merges the answers collected so far.
  */
-const getAiInsight = async (test, hf, config) => {
-    if (!hf) throw new Error("API Key missing");
-    const prompt = buildPrompt(test);
-
-    for (const model of config.models) {
+const getEnsembleInsight = async (test, session, models, prompt, extras) => {
+    const { config, cache } = session;
+    const answers = [];
+    for (const model of models) {
         try {
-            // Rate limiting buffer
-            if (model !== config.models[0]) await sleep(2000);
+            const insight = await analyzeWithModel(test, session, model, prompt, extras);
+            if (insight) answers.push(insight);
+        } catch (err) {
+            const exhausted = err.message === BUDGET_EXCEEDED || err.message === DEADLINE_EXCEEDED;
+            if (!exhausted || !answers.length) throw err;
+            break;
+        }
+    }
+    if (!answers.length) throw new Error("All AI models failed");
 
-            console.log(`  > Analyzing with ${model}...`);
+    const merged = mergeInsights(answers, {
+        threshold: config.ensembleAgreement,
+        penalty: config.ensembleConfidencePenalty
+    });
+    merged.ensemble.queried = models.length;
+    if (answers.length < config.ensembleMinModels) {
+        merged.ensemble.incomplete = true;
+        console.warn(`    ! Ensemble incomplete: ${answers.length}/${models.length} model(s) answered`);
+    } else if (merged.ensemble.disagreement) {
+        console.warn(`    ! Models disagree: ${merged.ensemble.reasons.join("; ")}`);
+    } else {
+        console.log(`  > Ensemble of ${answers.length} model(s) agrees on ${merged.severity} severity`);
+    }
 
-      const response = await hf.chatCompletion({
-        model: model,
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 500, // Increased to prevent cutoffs
-        temperature: 0.3, // Pedagogical tone requires slightly more freedom
-        top_p: 0.95
-      });
+    if (!merged.ensemble.incomplete && answers.every((a) => a.quality.status !== "degraded") && !extras.injection?.steered.some((s) => !s.rejected)) {
+        cache.set(cacheKeyFor(test, ensembleKey(models), session.prompt.id, extras), merged, { model: ensembleKey(models), title: test.fullTitle || test.title });
+    }
+    return merged;
+};
 
-      const content = response.choices[0]?.message?.content; /// i need to look at this again
-      if (!content) throw new Error("Empty response");
+/**
+ * Calls the configured AI provider with per-call timeouts, retries with backoff, and model fallbacks.
+ * `route` ("simple" | "complex") reorders the models by cost (see routing.js). With `ensemble`,
+ * queries every model and merges their answers instead of stopping at the first.
+ */
+const getAiInsight = async (test, session, extras = {}, { refresh = false, ensemble = false, route = null } = {}) => {
+    const { provider, config, cache } = session;
+    const configured = provider?.models || config.models;
+    const models = route ? routeModels(configured, route, config.cheapModels) : configured;
+    const ensembleModels = config.ensembleModels?.length ? config.ensembleModels : configured;
+
+    // Reuse a previous analysis of the same failure, preferring higher-priority models (not when refreshing)
+    const cacheModels = ensemble ? [ensembleKey(ensembleModels)] : models;
+    for (const model of refresh ? [] : cacheModels) {
+        const cached = cache.get(cacheKeyFor(test, model, session.prompt.id, extras));
+        if (cached) {
+            session.stats.cacheHits++;
+            console.log(`  > Cache hit (${model})`);
+            return { ...cached, cached: true };
+        }
+    }
 
-      const enriched = validateAndSanitize(content, test);
-      enriched.modelUsed = model; // Attach model metadata
-      return enriched;
+    if (!provider) throw new Error("API Key missing");
+    if (session.fatalError) throw session.fatalError;
+    const prompt = session.prompt.render(test, extras); // Chat messages
 
-    } catch (err) {
-      console.warn(`    x Model ${model} failed: ${err.message}`);
-      // Continue to next model
+    if (ensemble) return getEnsembleInsight(test, session, ensembleModels, prompt, extras);
+
+    for (const model of models) {
+        const insight = await analyzeWithModel(test, session, model, prompt, extras);
+        if (insight) return insight;
     }
-  }
-  throw new Error("All AI models failed");
+    throw new Error("All AI models failed");
 };
 
 /**
- * Generates a fallback object when AI is unavailable.
+ * Generates a fallback object when AI is unavailable: a knowledge base insight when the error
+ * matches a known Cypress signature, otherwise a placeholder. `errorMessage` overrides test.err
+ * (flaky tests carry their error on the failed attempt).
  */
-const getFallbackInsight = (test) => {
-  const msg = test.err?.message || "";
+const getFallbackInsight = (test, config = DEFAULT_CONFIG, errorMessage) => {
+  const msg = errorMessage || test.err?.message || "";
+  const known = config.knowledgeBase !== false ? getRulesInsight(msg) : null;
+  if (known) return known;
   return {
     summary: "AI analysis unavailable.",
     recommendation: "Manual review required. Check the error logs and screenshot artifacts to diagnose the issue.",
@@ -268,24 +567,34 @@ const getFallbackInsight = (test) => {
 const enrichResults = async (options = {}) => {
   console.log("[INFO] Starting TestAIgnite AI Enrichment Pipeline...");
 
-  const config = { ...DEFAULT_CONFIG, ...options };
-  
-  // Initialize Hugging Face Client
-  const HF_API_KEY = process.env.HUGGINGFACE_API_TOKEN || process.env.HF_API_KEY || process.env.HUGGINGFACEHUB_API_TOKEN;
+  const config = { ...DEFAULT_CONFIG, ...loadProjectConfig(), ...options };
 
-  // Diagnostic log
-  if (HF_API_KEY) {
-    console.log(`[DEBUG] Hugging Face API Key found (Prefix: ${HF_API_KEY.slice(0, 4)}...)`);
+  // Initialize AI Provider
+  let provider = null;
+  if (config.dryRun) {
+    console.log("[INFO] Dry run: prompts are rendered locally, no AI provider will be contacted.");
   } else {
-    console.error("[ERROR] Hugging Face API Key is MISSING. To use AI features, you must set HUGGINGFACE_API_TOKEN.");
-    console.warn("Continuing with fallback generation...");
-  }
+    try {
+      provider = createProvider(config);
+    } catch (e) {
+      console.error(`[ERROR] Failed to initialize AI provider: ${e.message}`);
+    }
 
-  const hf = HF_API_KEY ? new HfInference(HF_API_KEY) : null;
+    if (provider && config.record) {
+      provider = withRecorder(provider, config.fixturesDir);
+      console.log(`[INFO] Recording AI responses to ${config.fixturesDir}`);
+    }
+
+    if (provider) {
+      console.log(`[INFO] AI provider: ${provider.name} (models: ${(provider.models || config.models).join(", ")})`);
+    } else {
+      console.warn("Continuing with fallback generation...");
+    }
+  }
 
   // 1. Locate and Rename Anonymous Reports to Spec-Aware Names
   const reportsFolder = path.resolve(config.reportsDir).replace(/\\/g, '/');
-  const rawFiles = await glob(`${reportsFolder}/*.json`);
+  const rawFiles = config.dryRun || config.sidecar ? [] : await glob(`${reportsFolder}/*.json`); // Leave report files untouched
 
   for (const f of rawFiles) {
     const fileName = path.basename(f);
@@ -321,24 +630,40 @@ const enrichResults = async (options = {}) => {
 
   console.log(`[INFO] Found ${files.length} report part(s) to process.`);
 
-  for (const reportPath of files) {
-    console.log(`\\n--- Processing Report: ${path.basename(reportPath)} ---`);
+  // 3. Load Data & Identify Candidates across all report parts
+  const reports = [];
+  const candidates = [];
+  const failing = []; // Every failed or flaky test, selected or not, for the executive summary
+  const sidecar = config.sidecar ? loadSidecar(config.sidecarPath) : null;
+  const select = createSelector(config);
+  let reanalyzed = 0;
+  let totalTests = 0;
+  let flakyCount = 0;
 
-    // 2. Load Data
+  for (const reportPath of files) {
     const report = readJson(reportPath);
     if (!report || !report.results) {
       console.warn(`[WARN] Skipping invalid report: ${reportPath}`);
       continue;
     }
 
-    // 3. Identify Candidates
-    let candidates = [];
+    let found = 0;
     report.results.forEach(suite => {
+      const specFile = suite.file || suite.fullFile || null;
       // Handle both root tests and nested suites
       const processSuite = (s) => {
         (s.tests || []).forEach(test => {
-          if ((test.fail || test.state === 'failed') && !test.ai) {
-            candidates.push(test);
+          totalTests++;
+          const flaky = config.analyzeFlaky !== false ? detectFlaky(test) : null;
+          if (!(test.fail || test.state === 'failed') && !flaky) return;
+          const existing = (sidecar && findInsight(sidecar, test)) || test.ai || null;
+          failing.push({ test, flaky: Boolean(flaky), existing });
+          const { selected, reanalyze } = select(test, specFile, existing);
+          if (selected) {
+            candidates.push({ test, reportPath, specFile, flaky, previous: reanalyze ? existing : null });
+            if (reanalyze) reanalyzed++;
+            if (flaky) flakyCount++;
+            found++;
           }
         });
         (s.suites || []).forEach(processSuite);
@@ -346,41 +671,383 @@ const enrichResults = async (options = {}) => {
       processSuite(suite);
     });
 
-    if (candidates.length === 0) {
-      console.log(`[INFO] No failed tests requiring enrichment in ${path.basename(reportPath)}.`);
-      continue;
+    reports.push({ reportPath, report, found });
+    console.log(`[INFO] ${path.basename(reportPath)}: ${found} failed test(s) requiring enrichment.`);
+  }
+
+  if (flakyCount) {
+    console.log(`[INFO] ${flakyCount} of them passed only after a retry and will be analyzed as flaky.`);
+  }
+
+  if (reanalyzed) {
+    console.log(`[INFO] Re-analyzing ${reanalyzed} previously enriched failure(s); prior insights are kept in ai.history.`);
+  }
+
+  if (candidates.length === 0) {
+    console.log("[INFO] No failed tests requiring enrichment.");
+    console.log("\n[INFO] AI Enrichment Pipeline Complete.");
+    return;
+  }
+
+  // Run-level counts and insights come from the whole report, so a partial re-run (--grep,
+  // --only-fallback, already enriched tests) still summarizes every failure
+  const selectedTests = new Set(candidates.map((c) => c.test));
+  const summaryCounts = { failures: failing.filter((f) => !f.flaky).length, flaky: failing.filter((f) => f.flaky).length, tests: totalTests };
+  const reportInsights = () => failing.map((f) => ({ test: f.test, ai: selectedTests.has(f.test) ? f.test.ai : f.existing }));
+
+  // 4. Triage rules: team policy first, failures covered by a `skipAi` rule never reach the model
+  const triageRules = loadTriageRules(config);
+  const matchKnownIssue = loadKnownIssues(config);
+  // One fingerprint per failure from its error, spec and failing statement: cluster ids,
+  // `ai.fingerprint`, known issues and few-shot examples all use it
+  const specLines = new Map();
+  const errorOf = (c) => c.test.err?.message || c.flaky?.error || "";
+  const contextOf = (c) => {
+    if (!c.context) {
+      const stack = c.test.err?.estack || c.test.err?.stack || c.flaky?.stack || "";
+      const spec = c.specFile || path.basename(c.reportPath);
+      c.context = { spec, command: failingStatement(stack, spec, config.projectRoot, specLines) };
+    }
+    return c.context;
+  };
+  const subjectOf = (c) => {
+    const error = errorOf(c);
+    return {
+      test: c.test,
+      specFile: contextOf(c).spec,
+      error,
+      fingerprint: failureFingerprint(error, contextOf(c)),
+      skippedBy: c.skippedBy
+    };
+  };
+
+  // Known-issue label and team policy go on top of every insight, AI-generated or not
+  const finalizeInsight = (c, insight) => {
+    const subject = subjectOf(c);
+    const knownIssue = matchKnownIssue(subject);
+    const seenBefore = similarFailuresOf(c.test, subject.error).map(toSeenBefore);
+    const ai = {
+      ...insight,
+      ...(subject.fingerprint ? { fingerprint: subject.fingerprint.slice(0, 16) } : {}),
+      ...(knownIssue ? { knownIssue } : {}),
+      ...(seenBefore.length ? { seenBefore } : {})
+    };
+    return withHistory(applyTriageRules(triageRules, subject, ai), c.previous, config.maxInsightHistory);
+  };
+  const analyzable = candidates.filter((c) => {
+    const rule = findSkipRule(triageRules, subjectOf(c));
+    if (rule) c.skippedBy = rule.id;
+    return !rule;
+  });
+  const skippedCount = candidates.length - analyzable.length;
+  if (skippedCount) {
+    console.log(`[INFO] ${skippedCount} failure(s) matched a triage rule with skipAi and will not be sent to the model.`);
+  }
+
+  // Cluster failures sharing a root cause so each cluster costs one AI call
+  const clusters = config.clustering === false
+    ? analyzable.map((c) => ({ id: null, members: [c] }))
+    : clusterFailures(analyzable, errorOf, contextOf);
+
+  const grouped = clusters.filter((c) => c.members.length > 1);
+  if (grouped.length) {
+    console.log(`[INFO] Grouped ${grouped.reduce((acc, c) => acc + c.members.length, 0)} failure(s) into ${grouped.length} shared root-cause cluster(s).`);
+  }
+
+  const prompt = loadPromptTemplate(config);
+  const commandIndex = config.sourceContext !== false ? loadCustomCommands(config.projectRoot, config.supportDir) : null;
+  const redactor = createRedactor(config);
+  const historyIndex = config.history !== false && config.similarFailures > 0
+    ? createHistoryIndex(loadHistory(config.historyPath))
+    : null;
+  const similarFailuresOf = (test, error, options) => (historyIndex
+    ? historyIndex.search({ error, fullTitle: test.fullTitle || test.title, code: test.code }, config.similarFailures, config.similarFailuresMinScore, options)
+    : []);
+  // Recorded fixtures are keyed by the exact prompt, and the history grows with every run
+  const historyInPrompts = !config.record && provider?.name !== "replay";
+  const examplesFor = createExampleSelector(loadFeedbackStore(config.feedbackStore), {
+    limit: config.fewShotExamples,
+    minSimilarity: config.fewShotMinSimilarity
+  });
+
+  // Ensemble mode for every failure, or only for clusters touching a spec matching the pattern
+  const ensembleSpec = typeof config.ensemble === "string" ? toMatcher(config.ensemble) : null;
+  const usesEnsemble = (cluster) => config.ensemble === true || Boolean(ensembleSpec && cluster.members.some((m) => ensembleSpec(m.specFile)));
+
+  // Everything a prompt is rendered from, with secrets and PII masked. Reports keep the raw values.
+  const promptInputsFor = (candidate, label) => {
+    const { test, specFile, flaky } = candidate;
+    // A flaky test passed in the end: its error and stack come from the failed attempt
+    const subject = flaky && !test.err?.message
+      ? { ...test, err: { ...test.err, message: flaky.error || "Failed on an earlier attempt (no error recorded)", estack: flaky.stack } }
+      : test;
+    const source = config.sourceContext !== false ? buildSourceContext(subject, specFile, config, commandIndex) : null;
+    const redacted = redactPromptInputs(subject, source, redactor);
+    const { total, summary } = describeCounts(redacted.counts);
+    if (total > 0) console.log(`    ${label} [INFO] Redacted ${total} value(s) before prompting (${summary}).`);
+    const error = subject.err?.message;
+    const examples = examplesFor({ error, fingerprint: subjectOf(candidate).fingerprint })
+      .map((example) => toPromptExample(example, (text) => redactor.redact(text)));
+    if (examples.length) console.log(`    ${label} [INFO] Including ${examples.length} similar human-corrected verdict(s) as examples.`);
+    // History entries are stored redacted, so the failure's own entry is found by its redacted title and error
+    const history = historyInPrompts
+      ? similarFailuresOf(redacted.test, redacted.test.err?.message, { excludeSelf: true }).map(toPromptHistory)
+      : [];
+    if (history.length) console.log(`    ${label} [INFO] Including ${history.length} similar past failure(s) from the history index.`);
+    const injection = config.injectionCheck !== false
+      ? detectInjection({ error: redacted.test.err?.message, stack: redacted.test.err?.estack || redacted.test.err?.stack })
+      : null;
+    if (injection) {
+      console.warn(`    ${label} [WARN] Instruction-like text in the failure output (${Array.from(new Set(injection.matches.map((m) => m.pattern))).join(", ")}); fenced and flagged.`);
     }
+    return { test: redacted.test, extras: { source: redacted.source, flaky: flaky || null, examples, history, injection } };
+  };
 
-    console.log(`[INFO] Found ${candidates.length} failed tests to enrich.`);
+  if (config.dryRun) {
+    const ensembleCalls = (config.ensembleModels?.length ? config.ensembleModels : config.models).length;
+    const summaryPrompt = config.executiveSummary !== false && clusters.length
+      ? promptText(buildSummaryPrompt([
+        ...placeholderSummaryInput(clusters, (s) => redactor.redact(s)),
+        ...buildSummaryInput(reportInsights().filter(({ test }) => !selectedTests.has(test)), (s) => redactor.redact(s))
+      ], summaryCounts, { systemMessage: config.systemMessage !== false }))
+      : null;
+    previewPrompts(clusters.map((cluster, index) => {
+      const representative = cluster.members[0];
+      const inputs = promptInputsFor(representative, `[${index + 1}/${clusters.length}]`);
+      return {
+        title: representative.test.fullTitle || representative.test.title,
+        reportPath: representative.reportPath,
+        clusterId: cluster.id,
+        clusterSize: cluster.members.length,
+        calls: usesEnsemble(cluster) ? ensembleCalls : 1,
+        prompt: promptText(prompt.render(inputs.test, inputs.extras))
+      };
+    }), { outDir: config.dryRunDir, summaryPrompt });
+    console.log("\n[INFO] Dry run complete. No AI calls were made and no reports were modified.");
+    return;
+  }
 
-    // 4. Enrich Candidates (Sequential)
-    let enrichedCount = 0;
-    for (const test of candidates) {
-      console.log(`  > Analyzing failure: "${test.fullTitle || test.title}"`);
-      try {
-        if (!hf) throw new Error("API Key missing");
-        test.ai = await getAiInsight(test, hf, config);
-        console.log("    [SUCCESS] Injected AI insights");
-        enrichedCount++;
-      } catch (e) {
-        if (e.message === "API Key missing") {
-            console.warn("    [WARN] Enrichment skipped due to missing API Key, using fallback.");
-        } else {
-            console.warn("    [WARN] Enrichment failed, converting to fallback.");
+  candidates.filter((c) => c.skippedBy).forEach((c) => {
+    const base = getFallbackInsight(c.test, config, c.flaky?.error);
+    const insight = base.modelUsed ? base : { ...base, summary: `AI analysis skipped by triage rule "${c.skippedBy}".` };
+    c.test.ai = finalizeInsight(c, insight);
+  });
+
+  // 5. Enrich Clusters (Worker pool, rate-limited per model)
+  const concurrency = Math.max(1, Number(config.concurrency) || 1);
+  console.log(`[INFO] Enriching ${clusters.length} unique failure(s) with concurrency ${concurrency}.`);
+
+  const session = {
+    provider,
+    config,
+    prompt,
+    deadline: config.deadlineMs > 0 ? Date.now() + config.deadlineMs : null,
+    fatalError: null,
+    stats: createRunStats(),
+    cache: createInsightCache({
+      dir: config.cacheDir,
+      enabled: config.cache !== false,
+      ttlDays: config.cacheTtlDays,
+      maxEntries: config.cacheMaxEntries,
+      maxSizeMb: config.cacheMaxSizeMb
+    }),
+    limiter: createRateLimiter({
+      limitFor: (model) => config.modelRequestsPerMinute?.[model] ?? config.requestsPerMinute,
+      burst: concurrency
+    }),
+    breaker: createCircuitBreaker({ threshold: config.circuitBreakerThreshold })
+  };
+
+  let enrichedCount = 0;
+  let rulesCount = 0;
+  let ensembleCount = 0;
+  let disagreementCount = 0;
+  let cheapRouteCount = 0;
+  let injectionCount = 0;
+  await runPool(clusters, concurrency, async (cluster, index) => {
+    const { test, flaky } = cluster.members[0]; // Representative
+    const label = `[${index + 1}/${clusters.length}]`;
+    const shared = cluster.members.length > 1 ? ` (+${cluster.members.length - 1} sharing this error)` : "";
+    const ensemble = usesEnsemble(cluster);
+    console.log(`  > ${label} Analyzing ${flaky ? "flaky test" : "failure"}${ensemble ? " (ensemble)" : ""}: "${test.fullTitle || test.title}"${shared}`);
+
+    let injection = null;
+
+    // Fan the representative's insight out to every member of the cluster
+    const assign = (insightFor) => {
+      cluster.members.forEach((member) => {
+        const insight = insightFor(member);
+        member.test.ai = finalizeInsight(member, injection ? { ...insight, injection: describeInjection(injection) } : insight);
+        if (cluster.members.length > 1) {
+          member.test.ai.clusterId = cluster.id;
+          member.test.ai.clusterSize = cluster.members.length;
+        }
+        if (member.flaky) {
+          member.test.ai.flaky = { attempts: member.flaky.attempts, failedAttempts: member.flaky.failedAttempts };
         }
-        test.ai = getFallbackInsight(test);
+      });
+    };
+
+    try {
+      const inputs = promptInputsFor(cluster.members[0], label);
+      injection = inputs.extras.injection;
+      if (injection) injectionCount += cluster.members.length;
+      const refresh = cluster.members.some((member) => member.previous);
+      const route = config.routing !== false && !ensemble
+        ? classifyFailure(deriveTags(inputs.test.err?.message, inputs.test.title))
+        : null;
+      if (route === SIMPLE) {
+        console.log(`    ${label} [INFO] Simple failure class, trying the cheap model(s) first.`);
+        cheapRouteCount += cluster.members.length;
+      }
+      const insight = await getAiInsight(inputs.test, session, inputs.extras, { refresh, ensemble, route });
+      assign(() => ({ ...insight, tags: [...(insight.tags || [])] }));
+      console.log(`    ${label} [SUCCESS] Injected AI insights`);
+      enrichedCount += cluster.members.length;
+      if (insight.ensemble) {
+        ensembleCount += cluster.members.length;
+        if (insight.ensemble.disagreement) disagreementCount += cluster.members.length;
+      }
+    } catch (e) {
+      if (e.message === "API Key missing") {
+          console.warn(`    ${label} [WARN] Enrichment skipped due to missing API Key, using fallback.`);
+      } else if (e === session.fatalError) {
+          console.warn(`    ${label} [WARN] Provider rejected credentials (HTTP ${statusOf(e)}), using fallback.`);
+      } else if (e.message === DEADLINE_EXCEEDED) {
+          console.warn(`    ${label} [WARN] Enrichment deadline reached, using fallback.`);
+      } else if (e.message === BUDGET_EXCEEDED) {
+          console.warn(`    ${label} [WARN] AI budget exhausted (${session.stats.budgetExceeded}), using fallback.`);
+      } else {
+          console.warn(`    ${label} [WARN] Enrichment failed, converting to fallback.`);
+      }
+      assign((member) => getFallbackInsight(member.test, config, member.flaky?.error));
+      const { rule } = cluster.members[0].test.ai;
+      if (rule) {
+        console.log(`    ${label} [INFO] Known Cypress error (rule "${rule.id}"), offline insight applied.`);
+        rulesCount += cluster.members.length;
       }
     }
+  });
 
-    // 5. Save Report
+  console.log(`[INFO] AI insights generated for ${enrichedCount}/${analyzable.length} failure(s).`);
+  if (rulesCount) {
+    console.log(`[INFO] Knowledge base insights used for ${rulesCount} failure(s) without an AI answer.`);
+  }
+  if (ensembleCount) {
+    console.log(`[INFO] Ensemble verdicts for ${ensembleCount} failure(s); models disagree on ${disagreementCount}.`);
+  }
+  const knownCount = candidates.filter((c) => c.test.ai?.knownIssue).length;
+  if (knownCount) {
+    console.log(`[INFO] ${knownCount} failure(s) match known issues; ${candidates.length - knownCount} are new.`);
+  }
+
+  // 6. Release-level executive summary over every analysed failure in the reports
+  let aiSummary = null;
+  const summaryInput = buildSummaryInput(reportInsights(), (s) => redactor.redact(s));
+  if (config.executiveSummary !== false && provider && summaryInput.length && !session.fatalError && !isPastDeadline(session)) {
+    console.log(`[INFO] Generating executive summary from ${summaryInput.length} analysed failure group(s)...`);
+    aiSummary = await generateExecutiveSummary(
+      session,
+      summaryInput,
+      summaryCounts,
+      (model, messages) => requestCompletion(session, model, messages),
+      buildRepairPrompt
+    );
+    if (aiSummary) {
+      console.log(`[INFO] Executive summary: ${aiSummary.releaseRecommendation.toUpperCase()} - ${aiSummary.headline}`);
+    } else {
+      console.warn("[WARN] Executive summary unavailable; the report falls back to pass-rate heuristics.");
+    }
+  }
+
+  reportRunSummary(buildRunSummary(session.stats, {
+    failures: analyzable.length, // Triage-skipped failures are counted in skippedByTriage
+    flaky: flakyCount,
+    clusters: clusters.length,
+    enriched: enrichedCount,
+    fallbacks: analyzable.length - enrichedCount,
+    rules: rulesCount,
+    skippedByTriage: skippedCount,
+    knownIssues: knownCount,
+    ensemble: ensembleCount,
+    ensembleDisagreements: disagreementCount,
+    routedToCheapModels: cheapRouteCount,
+    injectionsDetected: injectionCount,
+    openCircuits: session.breaker.openModels()
+  }, {
+    provider: provider?.name || null,
+    promptId: prompt.id
+  }), config.runSummaryPath);
+
+  // Remember this run's final insights (redacted) for retrieval on later runs
+  if (config.history !== false) {
     try {
-      writeJson(reportPath, report);
-      console.log(`[INFO] Saved enriched report to ${reportPath}`);
+      const size = recordHistory(config.historyPath, candidates.map((c) => ({
+        fullTitle: redactor.redact(c.test.fullTitle || c.test.title),
+        spec: c.specFile || path.basename(c.reportPath),
+        error: redactor.redact(c.test.err?.message || c.flaky?.error || ""),
+        code: redactor.redact(c.test.code || ""),
+        insight: c.test.ai && redactDeep(c.test.ai, redactor)
+      })), { maxEntries: config.historyMaxEntries });
+      console.log(`[INFO] Failure history updated (${size} entr${size === 1 ? "y" : "ies"} in ${config.historyPath}).`);
     } catch (e) {
-      console.error(`[ERROR] Failed to write report ${reportPath}: ${e.message}`);
+      console.warn(`[WARN] Failed to update failure history: ${e.message}`);
     }
   }
-  console.log("\\n[INFO] AI Enrichment Pipeline Complete.");
+
+  const pruned = session.cache.prune();
+  if (pruned) console.log(`[INFO] Pruned ${pruned} stale AI cache entr${pruned === 1 ? "y" : "ies"}.`);
+
+  // 7. Save Insights (sidecar) or Reports (in place, atomically)
+  if (sidecar) {
+    if (aiSummary) sidecar.summary = aiSummary;
+    candidates.forEach(({ test, reportPath, specFile }) => {
+      sidecar.insights[sidecarKey(test)] = {
+        fullTitle: test.fullTitle || test.title,
+        spec: specFile || path.basename(reportPath),
+        ai: test.ai
+      };
+    });
+    try {
+      saveSidecar(config.sidecarPath, sidecar);
+      console.log(`[INFO] Saved ${candidates.length} insight(s) to ${config.sidecarPath} (reports left untouched)`);
+    } catch (e) {
+      console.error(`[ERROR] Failed to write insights sidecar ${config.sidecarPath}: ${e.message}`);
+    }
+  } else {
+    for (const { reportPath, report, found } of reports) {
+      if (aiSummary) report.aiSummary = aiSummary; // Same run-level summary on every part; the newest wins when merged
+      else if (found === 0) continue;
+      try {
+        writeJsonAtomic(reportPath, report);
+        console.log(`[INFO] Saved enriched report to ${reportPath}`);
+      } catch (e) {
+        console.error(`[ERROR] Failed to write report ${reportPath}: ${e.message}`);
+      }
+    }
+  }
+  console.log("\n[INFO] AI Enrichment Pipeline Complete.");
+};
+
+/**
+ * Deletes every cached AI insight for the current project.
+ */
+const clearCache = (options = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...loadProjectConfig(), ...options };
+  const removed = clearInsightCache(config.cacheDir);
+  console.log(`[INFO] Cleared ${removed} cached AI insight(s) from ${config.cacheDir}`);
+  return removed;
+};
+
+/**
+ * Imports a feedback file exported from the HTML report into the labeled-examples store.
+ */
+const importFeedback = (file, options = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...loadProjectConfig(), ...options };
+  const result = mergeFeedback(path.resolve(file), config.feedbackStore);
+  console.log(`[INFO] Imported feedback from ${path.basename(file)}: ${result.added} new, ${result.updated} updated, ${result.skipped} skipped (${result.total} example(s) in ${config.feedbackStore}).`);
+  return result;
 };
 
-module.exports = { enrichResults };
+// Internals (DEFAULT_CONFIG onwards) are exported for the unit tests; index.js keeps the public API
+module.exports = { enrichResults, clearCache, importFeedback, DEFAULT_CONFIG, parseModelOutput, validateAndSanitize, cacheKeyFor };
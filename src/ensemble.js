@@ -0,0 +1,117 @@
+/**
+ * TestAIgnite - Ensemble Verdicts
+ *
+ * In ensemble mode several models analyse the same failure and their insights are merged:
+ * majority severity (ties go to the more severe option), averaged confidence and the union of
+ * tags. The prose comes from the answer that best represents the majority. Divergent verdicts
+ * are recorded on `ai.ensemble` and lower the merged confidence instead of being hidden.
+ * Calls, tokens and latency are summed over every model, so the insight's provenance accounts
+ * for the whole ensemble; each model's own provenance is kept on `ai.ensemble.models`.
+ */
+
+const { SEVERITIES, INSIGHT_SCHEMA } = require("./insightSchema");
+
+const MAX_TAGS = INSIGHT_SCHEMA.properties.tags.maxItems;
+
+/**
+ * "product" | "test" | null, from the "Fix the Product" / "Fix the Test" wording the prompt asks for.
+ */
+const verdictOf = (insight) => {
+    const text = `${insight.recommendation || ""}`.toLowerCase();
+    const product = text.includes("fix the product");
+    const test = text.includes("fix the test");
+    if (product === test) return null; // Neither, or both
+    return product ? "product" : "test";
+};
+
+const countBy = (values) => values.reduce((acc, v) => acc.set(v, (acc.get(v) || 0) + 1), new Map());
+
+const sumOf = (answers, field) => answers.reduce((acc, a) => acc + (a.provenance?.[field] || 0), 0);
+
+// Quality statuses, best first
+const QUALITY_ORDER = ["valid", "repaired", "degraded"];
+
+/**
+ * Provenance of the merged insight: the lead's provider, prompt and timestamp, with usage summed over all models.
+ */
+const mergeProvenance = (answers, lead) => ({
+    ...lead.provenance,
+    model: answers.map((a) => a.modelUsed).join(" + "),
+    calls: sumOf(answers, "calls"),
+    latencyMs: sumOf(answers, "latencyMs"),
+    inputTokens: sumOf(answers, "inputTokens"),
+    outputTokens: sumOf(answers, "outputTokens"),
+    tokensEstimated: answers.some((a) => a.provenance?.tokensEstimated)
+});
+
+/**
+ * Quality of the merged insight: the lead's field details, the worst status and every repair round.
+ */
+const mergeQuality = (answers, lead) => ({
+    ...lead.quality,
+    status: answers
+        .map((a) => a.quality?.status || "valid")
+        .sort((a, b) => QUALITY_ORDER.indexOf(b) - QUALITY_ORDER.indexOf(a))[0],
+    repairAttempts: answers.reduce((acc, a) => acc + (a.quality?.repairAttempts || 0), 0)
+});
+
+/**
+ * Merges two or more sanitized insights. `answers` are in model priority order.
+ * `threshold` is the share of models that must back the majority severity.
+ */
+const mergeInsights = (answers, { threshold = 0.67, penalty = 0.5 } = {}) => {
+    const votes = countBy(answers.map((a) => a.severity));
+    const top = Math.max(...votes.values());
+    const severity = Array.from(votes.keys())
+        .filter((s) => votes.get(s) === top)
+        .sort((a, b) => SEVERITIES.indexOf(b) - SEVERITIES.indexOf(a))[0];
+    const agreement = Math.round((top / answers.length) * 100) / 100; // 2 of 3 models meets the default 0.67
+
+    const verdicts = answers.map(verdictOf);
+    const distinctVerdicts = Array.from(new Set(verdicts.filter(Boolean)));
+
+    const reasons = [];
+    if (agreement < threshold) {
+        reasons.push(`severity split (${answers.map((a) => `${a.modelUsed}: ${a.severity}`).join(", ")})`);
+    }
+    if (distinctVerdicts.length > 1) {
+        reasons.push(`verdict split (${answers.map((a, i) => `${a.modelUsed}: ${verdicts[i] ? `fix the ${verdicts[i]}` : "unclear"}`).join(", ")})`);
+    }
+    const disagreement = reasons.length > 0;
+
+    // Most confident answer among those backing the majority severity
+    const lead = answers
+        .filter((a) => a.severity === severity)
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+
+    const averageConfidence = answers.reduce((acc, a) => acc + (a.confidence || 0), 0) / answers.length;
+    const tagVotes = countBy(answers.flatMap((a) => Array.from(new Set(a.tags || []))));
+    const tags = Array.from(tagVotes.keys()).sort((a, b) => tagVotes.get(b) - tagVotes.get(a));
+    const mergedTags = (disagreement ? ["models-disagree", ...tags] : tags).slice(0, MAX_TAGS); // Least shared tags go first
+
+    return {
+        ...lead,
+        severity,
+        confidence: Math.round(averageConfidence * (disagreement ? penalty : 1) * 100) / 100,
+        tags: mergedTags,
+        ...(lead.quality ? { quality: mergeQuality(answers, lead) } : {}),
+        ...(lead.provenance ? { provenance: mergeProvenance(answers, lead) } : {}),
+        ensemble: {
+            models: answers.map((a) => ({
+                model: a.modelUsed,
+                severity: a.severity,
+                confidence: a.confidence,
+                verdict: verdictOf(a),
+                summary: a.summary,
+                ...(a.quality ? { quality: a.quality.status } : {}),
+                ...(a.provenance ? { provenance: a.provenance } : {})
+            })),
+            leadModel: lead.modelUsed,
+            agreement,
+            disagreement,
+            reasons
+        }
+    };
+};
+
+module.exports = { mergeInsights, verdictOf };
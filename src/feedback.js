@@ -0,0 +1,145 @@
+/**
+ * TestAIgnite - Human Feedback & Few-Shot Examples
+ *
+ * Engineers accept or correct AI verdicts from the HTML report bug cards, which exports a
+ * feedback file. `feedback:import` merges it into a local labeled-examples store
+ * (`.testaignite/feedback.json`), and on later runs the corrections most similar to a failure
+ * (same fingerprint, or overlapping error text) are added to its prompt as few-shot guidance.
+ *
+ * Feedback entry: {
+ *   fullTitle, spec, error, fingerprint, verdict: "accepted" | "corrected",
+ *   original: { summary, severity, testRootCause, productRootCause, recommendation },
+ *   correction: { category: "product" | "test" | "environment", severity, rootCause, recommendation } | null,
+ *   createdAt
+ * }
+ */
+
+const { readJson, writeJsonAtomic } = require("./fsUtils");
+const { normalizeError, hashParts, errorTokens } = require("./fingerprint");
+const { SEVERITIES } = require("./insightSchema");
+
+const FEEDBACK_VERSION = 1;
+const VERDICTS = ["accepted", "corrected"];
+const CATEGORIES = ["product", "test", "environment"];
+
+// Same failure of the same test: a newer verdict replaces the older one
+const exampleId = (entry) => hashParts(entry.fullTitle, entry.fingerprint || normalizeError(entry.error)).slice(0, 16);
+
+const loadFeedbackStore = (file) => {
+    const data = readJson(file);
+    if (data && Array.isArray(data.examples)) return data;
+    return { version: FEEDBACK_VERSION, examples: [] };
+};
+
+/**
+ * Returns the entry with its fields checked and trimmed, or null when it is unusable.
+ */
+const sanitizeEntry = (entry) => {
+    if (!entry || !VERDICTS.includes(entry.verdict) || !(entry.error || entry.fingerprint)) return null;
+    const correction = entry.correction || null;
+    if (entry.verdict === "corrected") {
+        if (!correction || !CATEGORIES.includes(correction.category)) return null;
+        if (correction.severity && !SEVERITIES.includes(correction.severity)) return null;
+    }
+
+    const clean = {
+        fullTitle: String(entry.fullTitle || ""),
+        spec: entry.spec || null,
+        error: String(entry.error || "").slice(0, 2000),
+        fingerprint: entry.fingerprint || null,
+        verdict: entry.verdict,
+        original: entry.original || {},
+        correction: entry.verdict === "corrected" ? correction : null,
+        createdAt: entry.createdAt || new Date().toISOString()
+    };
+    return { id: exampleId(clean), ...clean };
+};
+
+/**
+ * Merges an exported feedback file into the store. Returns { added, updated, skipped, total }.
+ */
+const mergeFeedback = (file, storePath) => {
+    const exported = readJson(file);
+    const entries = Array.isArray(exported) ? exported : exported?.entries;
+    if (!Array.isArray(entries)) throw new Error(`${file} is not a TestAIgnite feedback export`);
+
+    const store = loadFeedbackStore(storePath);
+    const byId = new Map(store.examples.map((e) => [e.id, e]));
+    const result = { added: 0, updated: 0, skipped: 0 };
+
+    entries.forEach((raw) => {
+        const entry = sanitizeEntry(raw);
+        if (!entry) {
+            result.skipped++;
+            return;
+        }
+        const existing = byId.get(entry.id);
+        if (existing && existing.createdAt >= entry.createdAt) { // Already imported, or older
+            result.skipped++;
+            return;
+        }
+        result[existing ? "updated" : "added"]++;
+        byId.set(entry.id, entry);
+    });
+
+    const examples = Array.from(byId.values());
+    writeJsonAtomic(storePath, { version: FEEDBACK_VERSION, updatedAt: new Date().toISOString(), examples });
+    return { ...result, total: examples.length };
+};
+
+// --- SIMILARITY ---
+
+const tokenize = (text) => new Set(errorTokens(text));
+
+/**
+ * 1 for the same failure fingerprint, otherwise the Jaccard overlap of the error words.
+ */
+const similarity = (example, failure) => {
+    if (example.fingerprint && failure.fingerprint && failure.fingerprint.startsWith(example.fingerprint)) return 1;
+    const a = tokenize(example.error);
+    const b = failure.tokens || tokenize(failure.error);
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach((t) => { if (b.has(t)) shared++; });
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Returns `examplesFor({ error, fingerprint })` -> up to `limit` corrected examples, most similar
+ * first, each scoring at least `minSimilarity`.
+ */
+const createExampleSelector = (store, { limit = 2, minSimilarity = 0.3 } = {}) => {
+    const corrected = store.examples.filter((e) => e.verdict === "corrected");
+    return (failure) => {
+        if (!corrected.length || limit <= 0) return [];
+        const target = { ...failure, tokens: tokenize(failure.error) };
+        return corrected
+            .map((example) => ({ example, score: similarity(example, target) }))
+            .filter(({ score }) => score >= minSimilarity)
+            .sort((a, b) => b.score - a.score || (b.example.createdAt > a.example.createdAt ? 1 : -1))
+            .slice(0, limit)
+            .map(({ example }) => example);
+    };
+};
+
+/**
+ * Prompt-ready view of an example; `redact` masks secrets in the free text.
+ */
+const toPromptExample = (example, redact = (s) => s) => ({
+    id: example.id,
+    error: redact(example.error.split("\n").map((line) => line.trim()).filter(Boolean).slice(0, 4).join(" ").slice(0, 300)),
+    aiSummary: redact(example.original.summary || ""),
+    aiSeverity: example.original.severity || "",
+    category: example.correction.category,
+    severity: example.correction.severity || example.original.severity || "",
+    rootCause: redact(example.correction.rootCause || ""),
+    recommendation: redact(example.correction.recommendation || "")
+});
+
+module.exports = {
+    loadFeedbackStore,
+    mergeFeedback,
+    createExampleSelector,
+    toPromptExample,
+    CATEGORIES
+};
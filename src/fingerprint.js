@@ -0,0 +1,87 @@
+/**
+ * TestAIgnite - Failure Fingerprinting
+ *
+ * Reduces volatile parts of Cypress error messages (timestamps, ids, hashes, ANSI colors)
+ * so identical failures from different runs compare equal, and groups failures that
+ * share a root cause into clusters.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Normalizes an error message for comparison and hashing.
+ */
+const normalizeError = (message) => (message || "")
+    .replace(/\u001b\[[0-9;]*m/g, "") // ANSI colors
+    .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g, "<ts>")
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<uuid>")
+    .replace(/\b[0-9a-f]{16,}\b/gi, "<hash>")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Stable sha256 hex digest over the given parts.
+ */
+const hashParts = (...parts) => crypto
+    .createHash("sha256")
+    .update(parts.map((p) => (p == null ? "" : String(p))).join("\u0000"))
+    .digest("hex");
+
+/**
+ * Aggressive normalization for clustering: also drops numbers and the dynamic parts of
+ * selectors (generated class names, numeric id suffixes) so `/users/4821` and `/users/9932`,
+ * or `#row-12` and `#row-57`, collapse into the same root cause.
+ */
+const collapse = (text) => normalizeError(text)
+    .replace(/\b(css|sc|jsx|emotion|makeStyles)-[a-z0-9_-]+/gi, "$1-<cls>") // CSS-in-JS class names
+    .replace(/([#.\-_=:\/])[a-z]*\d[a-z0-9]*/gi, "$1<id>") // ids glued to selectors / paths
+    .replace(/\d+(\.\d+)?/g, "<n>")
+    .toLowerCase();
+
+/**
+ * Fingerprint of a failure. With `spec` and `command` (the failing statement), generic assertions
+ * such as "expected false to be true" from unrelated tests no longer share a fingerprint.
+ */
+const failureFingerprint = (message, { spec, command } = {}) => {
+    const normalized = collapse(message);
+    if (!normalized) return null;
+    return spec || command
+        ? hashParts(normalized, (spec || "").replace(/\\/g, "/").replace(/^\.\//, ""), collapse(command))
+        : hashParts(normalized);
+};
+
+/**
+ * Lower-case word tokens of a normalized error (or any text) for similarity scoring.
+ * Numbers and one- or two-letter fragments are dropped; repeated words are kept.
+ */
+const errorTokens = (text) => normalizeError(text)
+    .toLowerCase()
+    .split(/[^a-z_$@.-]+/)
+    .map((t) => t.replace(/^[.-]+|[.-]+$/g, ""))
+    .filter((t) => t.length > 2);
+
+/**
+ * Groups items by the fingerprint of `messageOf(item)` and `contextOf(item)` ({ spec, command }).
+ * Items without an error message stay alone.
+ * Returns clusters in first-seen order: [{ id, fingerprint, members }], where `id` is "C-" plus
+ * the first 8 characters of the fingerprint.
+ */
+const clusterFailures = (items, messageOf, contextOf = () => ({})) => {
+    const byFingerprint = new Map();
+    const clusters = [];
+
+    items.forEach((item) => {
+        const fingerprint = failureFingerprint(messageOf(item), contextOf(item));
+        if (fingerprint && byFingerprint.has(fingerprint)) {
+            byFingerprint.get(fingerprint).members.push(item);
+            return;
+        }
+        const cluster = { id: fingerprint ? `C-${fingerprint.slice(0, 8)}` : null, fingerprint, members: [item] };
+        if (fingerprint) byFingerprint.set(fingerprint, cluster);
+        clusters.push(cluster);
+    });
+
+    return clusters;
+};
+
+module.exports = { normalizeError, hashParts, failureFingerprint, errorTokens, clusterFailures };
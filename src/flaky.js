@@ -0,0 +1,41 @@
+/**
+ * TestAIgnite - Flaky Test Detection
+ *
+ * A test that failed on an earlier attempt and passed after a Cypress retry is reported by
+ * Mochawesome as a plain pass. The retry evidence lives in different places depending on the
+ * reporter setup: an `attempts` / `prevAttempts` array, a `currentRetry` counter, or the
+ * "(failed) (attempt N)" screenshots Cypress attaches to the test context.
+ */
+
+const FAILED_SCREENSHOT = /\(failed\)(?: \(attempt \d+\))?\.png/g;
+
+const errorOf = (attempt) => attempt?.error || attempt?.err || null;
+
+/**
+ * Returns { attempts, failedAttempts, error, stack } for a retried-then-passed test, otherwise null.
+ */
+const detectFlaky = (test) => {
+    if (!(test.pass || test.state === "passed")) return null;
+
+    const history = Array.isArray(test.attempts)
+        ? test.attempts
+        : Array.isArray(test.prevAttempts) ? test.prevAttempts : [];
+    const failed = history.filter((a) => a && (a.state === "failed" || a.fail || errorOf(a)));
+
+    const retry = Number(test.currentRetry ?? test._currentRetry ?? 0) || 0;
+    const context = typeof test.context === "string" ? test.context : JSON.stringify(test.context || "");
+    const screenshots = (context.match(FAILED_SCREENSHOT) || []).length;
+
+    const failedAttempts = Math.max(failed.length, retry, screenshots);
+    if (!failedAttempts) return null;
+
+    const lastError = errorOf(failed[failed.length - 1]) || {};
+    return {
+        attempts: failedAttempts + 1,
+        failedAttempts,
+        error: lastError.message || null,
+        stack: lastError.stack || lastError.estack || null
+    };
+};
+
+module.exports = { detectFlaky };
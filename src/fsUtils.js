@@ -0,0 +1,34 @@
+/**
+ * TestAIgnite - File Helpers
+ *
+ * JSON read/write used by the pipeline. Writes go to a temp file in the same directory and are
+ * renamed over the target, so a crash mid-write never leaves a truncated report behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const readJson = (p) => {
+    try {
+        return JSON.parse(fs.readFileSync(p, "utf-8"));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Atomically replaces `p` with the JSON serialization of `data`.
+ */
+const writeJsonAtomic = (p, data) => {
+    const tmp = path.join(path.dirname(p), `.${path.basename(p)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        fs.mkdirSync(path.dirname(p), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, p);
+    } catch (e) {
+        fs.rmSync(tmp, { force: true });
+        throw e;
+    }
+};
+
+module.exports = { readJson, writeJsonAtomic };
@@ -0,0 +1,121 @@
+/**
+ * TestAIgnite - Grounding Check
+ *
+ * Models sometimes cite selectors, URLs or status codes that appear nowhere in the failure. After
+ * validation, the concrete entities an insight mentions (selectors, URLs and paths, HTTP error
+ * codes, quoted element names) are looked up in the evidence the model was given: error message,
+ * stack, title, test code, spec source, and the past failures and corrected verdicts shown as
+ * context. Every claim that cannot be found lowers the confidence and is listed on `ai.grounding`
+ * so the report can mark it.
+ */
+
+const TEXT_FIELDS = ["summary", "humanError", "testRootCause", "productRootCause", "bugEffect", "inferredExpected", "recommendation"];
+
+const trimPunctuation = (value) => value.replace(/[.,;:!?)\]'"`]+$/, "");
+
+// type -> extractor(text) -> [value]
+const EXTRACTORS = {
+    selector: (text) => [
+        ...Array.from(text.matchAll(/\[data-[\w-]+(?:\s*[~|^$*]?=\s*["']?[^\]"'\s]*["']?)?\]/g), (m) => m[0]),
+        ...Array.from(text.matchAll(/[`'"]([#.][a-zA-Z][\w-]+)(?!\()/g), (m) => m[1]) // Not `.should(`
+    ],
+    url: (text) => [
+        ...Array.from(text.matchAll(/https?:\/\/[^\s"'`<>]+/g), (m) => trimPunctuation(m[0])),
+        ...Array.from(text.matchAll(/(?<![\w:/.])\/[a-z0-9_-]+(?:\/[\w{}:.-]+)+/gi), (m) => trimPunctuation(m[0])),
+        ...Array.from(text.matchAll(/[`'"](\/[\w{}:./-]*)[`'"]/g), (m) => m[1])
+    ],
+    status: (text) => Array.from(
+        text.matchAll(/\b(?:HTTP|status(?: code)?|responded with|returned(?: an?)?|returns(?: an?)?|code)\s*:?\s*([45]\d{2})\b|\b([45]\d{2})\s*(?:status|response|error|\(|:\s*[A-Z])/gi),
+        (m) => m[1] || m[2]
+    ),
+    element: (text) => Array.from(
+        text.matchAll(/["'“]([^"'”\n]{2,40})["'”]\s+(?:button|link|field|input|modal|dialog|tab|menu|dropdown|checkbox|element|label|heading)\b/gi),
+        (m) => m[1].trim()
+    )
+};
+
+const isGrounded = (type, value, evidence, evidenceLower) => {
+    switch (type) {
+        case "selector": {
+            if (evidence.includes(value)) return true;
+            // [data-cy=submit] vs [data-cy="submit"]; #login vs id="login"
+            const parts = value.replace(/^[#.]/, "").match(/[\w-]+/g) || [];
+            return parts.length > 0 && parts.every((p) => evidence.includes(p));
+        }
+        case "url": {
+            if (evidence.includes(value) || evidence.includes(value.replace(/\/$/, ""))) return true;
+            try {
+                const { host, pathname } = new URL(value);
+                return evidence.includes(`${host}${pathname === "/" ? "" : pathname}`) || (pathname.length > 1 && evidence.includes(pathname));
+            } catch (e) {
+                return false;
+            }
+        }
+        case "status":
+            return new RegExp(`\\b${value}\\b`).test(evidence);
+        default:
+            return evidenceLower.includes(value.toLowerCase());
+    }
+};
+
+/**
+ * The text the model was shown about this failure (prompt inputs after redaction), including
+ * similar past failures (`extras.history`) and human-corrected examples (`extras.examples`).
+ */
+const buildEvidence = (test, extras = {}) => [
+    test.fullTitle,
+    test.title,
+    test.err?.message,
+    test.err?.estack || test.err?.stack,
+    test.code,
+    extras.source?.excerpt,
+    ...(extras.source?.commands || []).map((c) => c.code),
+    ...(extras.history || []).flatMap((h) => [h.fullTitle, h.error, h.summary, h.recommendation]),
+    ...(extras.examples || []).flatMap((e) => [e.error, e.aiSummary, e.rootCause, e.recommendation])
+].filter(Boolean).join("\n");
+
+/**
+ * Checks every entity claimed by the insight against the evidence.
+ * Returns { checked, ungrounded: [{ field, type, value }] }.
+ */
+const checkGrounding = (insight, evidence) => {
+    const evidenceLower = evidence.toLowerCase();
+    const seen = new Set();
+    const ungrounded = [];
+    let checked = 0;
+
+    TEXT_FIELDS.forEach((field) => {
+        const text = insight[field];
+        if (typeof text !== "string" || !text) return;
+        Object.entries(EXTRACTORS).forEach(([type, extract]) => {
+            extract(text).forEach((value) => {
+                const key = `${type}\u0000${value}`;
+                if (!value || seen.has(key)) return;
+                seen.add(key);
+                checked++;
+                if (!isGrounded(type, value, evidence, evidenceLower)) ungrounded.push({ field, type, value });
+            });
+        });
+    });
+    return { checked, ungrounded };
+};
+
+/**
+ * Runs the check and, for each ungrounded claim, lowers confidence by `penalty` (never below
+ * `minConfidence`). Records the result on `insight.grounding` and returns the insight.
+ */
+const applyGrounding = (insight, evidence, { penalty = 0.15, minConfidence = 0.1 } = {}) => {
+    const { checked, ungrounded } = checkGrounding(insight, evidence);
+    if (!checked) return insight;
+
+    const grounding = { checked, grounded: checked - ungrounded.length, ungrounded };
+    if (ungrounded.length && typeof insight.confidence === "number") {
+        grounding.originalConfidence = insight.confidence;
+        const lowered = Math.max(minConfidence, insight.confidence - penalty * ungrounded.length);
+        insight.confidence = Math.round(Math.min(insight.confidence, lowered) * 100) / 100;
+    }
+    insight.grounding = grounding;
+    return insight;
+};
+
+module.exports = { applyGrounding, checkGrounding, buildEvidence };
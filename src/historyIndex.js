@@ -0,0 +1,148 @@
+/**
+ * TestAIgnite - Failure History Index
+ *
+ * Every enrichment run appends its analysed failures (redacted error, title, code and final
+ * insight) to a local store (`.testaignite/history.json`). On the next run a dependency-free
+ * TF-IDF index over that store finds the past failures most similar to each new one, so the
+ * model learns that "this selector broke last week and adding data-cy fixed it", and the report
+ * can show a "Seen before" section.
+ *
+ * Entry: { id, fullTitle, spec, error, code, insight, firstSeen, lastSeen, occurrences }
+ */
+
+const { readJson, writeJsonAtomic } = require("./fsUtils");
+const { hashParts, failureFingerprint, errorTokens } = require("./fingerprint");
+
+const HISTORY_VERSION = 1;
+
+// Insight fields worth remembering; the rest is per-run detail
+const KEPT_FIELDS = ["summary", "testRootCause", "productRootCause", "recommendation", "severity", "modelUsed"];
+
+const historyId = (fullTitle, error) => hashParts(fullTitle, failureFingerprint(error) || error).slice(0, 16);
+
+const documentTokens = ({ error, fullTitle, code }) => errorTokens(`${error || ""} ${fullTitle || ""} ${(code || "").slice(0, 500)}`);
+
+const loadHistory = (file) => {
+    const data = readJson(file);
+    if (data && Array.isArray(data.entries)) return data;
+    return { version: HISTORY_VERSION, entries: [] };
+};
+
+/**
+ * Adds this run's analysed failures to the store. A failure already seen (same test, same
+ * fingerprint) is updated in place: newest insight, `lastSeen` and an occurrence count.
+ * Only the `maxEntries` most recently seen entries are kept.
+ */
+const recordHistory = (file, failures, { maxEntries = 2000 } = {}) => {
+    const store = loadHistory(file);
+    const byId = new Map(store.entries.map((e) => [e.id, e]));
+    const now = new Date().toISOString();
+
+    failures.forEach(({ fullTitle, spec, error, code, insight }) => {
+        if (!insight?.modelUsed) return; // Placeholders carry no analysis worth retrieving
+        const id = historyId(fullTitle, error);
+        const previous = byId.get(id);
+        byId.set(id, {
+            id,
+            fullTitle,
+            spec: spec || null,
+            error: (error || "").slice(0, 1000),
+            code: (code || "").slice(0, 500),
+            insight: Object.fromEntries(KEPT_FIELDS.filter((f) => insight[f] != null).map((f) => [f, insight[f]])),
+            firstSeen: previous?.firstSeen || now,
+            lastSeen: now,
+            occurrences: (previous?.occurrences || 0) + 1
+        });
+    });
+
+    const entries = Array.from(byId.values())
+        .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1))
+        .slice(0, maxEntries);
+    writeJsonAtomic(file, { version: HISTORY_VERSION, updatedAt: now, entries });
+    return entries.length;
+};
+
+/**
+ * Builds the TF-IDF index. Returns `search({ error, fullTitle, code }, k, minScore, { excludeSelf })` ->
+ * [{ entry, score }] by descending cosine similarity. `excludeSelf` drops the failure's own entry
+ * (same test, same fingerprint), which changes on every run it repeats.
+ */
+const createHistoryIndex = (store) => {
+    const docs = store.entries.map((entry) => {
+        const tf = new Map();
+        documentTokens(entry).forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+        return { entry, tf };
+    });
+
+    const df = new Map();
+    docs.forEach(({ tf }) => tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+    const idf = (t) => Math.log((1 + docs.length) / (1 + (df.get(t) || 0))) + 1;
+
+    const weigh = (tf) => {
+        const weights = new Map();
+        let norm = 0;
+        tf.forEach((count, t) => {
+            const w = (1 + Math.log(count)) * idf(t);
+            weights.set(t, w);
+            norm += w * w;
+        });
+        return { weights, norm: Math.sqrt(norm) };
+    };
+    const vectors = docs.map(({ entry, tf }) => ({ entry, ...weigh(tf) }));
+
+    return {
+        size: docs.length,
+        search: (failure, k = 3, minScore = 0, { excludeSelf = false } = {}) => {
+            if (!vectors.length || k <= 0) return [];
+            const selfId = excludeSelf ? historyId(failure.fullTitle, failure.error) : null;
+            const tf = new Map();
+            documentTokens(failure).forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+            const query = weigh(tf);
+            if (!query.norm) return [];
+
+            return vectors
+                .filter(({ entry }) => entry.id !== selfId)
+                .map(({ entry, weights, norm }) => {
+                    let dot = 0;
+                    query.weights.forEach((w, t) => { if (weights.has(t)) dot += w * weights.get(t); });
+                    return { entry, score: norm ? dot / (norm * query.norm) : 0 };
+                })
+                .filter(({ score }) => score >= minScore)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, k);
+        }
+    };
+};
+
+const compactError = (error) => error.split("\n").map((line) => line.trim()).filter(Boolean).slice(0, 3).join(" ").slice(0, 240);
+
+/**
+ * Compact match stored on insights (`ai.seenBefore`), with dates, occurrences and similarity.
+ */
+const toSeenBefore = ({ entry, score }) => ({
+    fullTitle: entry.fullTitle,
+    spec: entry.spec,
+    firstSeen: entry.firstSeen,
+    lastSeen: entry.lastSeen,
+    occurrences: entry.occurrences,
+    score: Math.round(score * 100) / 100,
+    error: compactError(entry.error),
+    summary: entry.insight.summary || "",
+    severity: entry.insight.severity || "",
+    recommendation: entry.insight.recommendation || ""
+});
+
+/**
+ * Match as rendered into prompts: the failure and its analysis only. Dates, counts and scores
+ * change from run to run and would make the prompt (and its recording key) unstable.
+ */
+const toPromptHistory = ({ entry }) => ({
+    fullTitle: entry.fullTitle,
+    spec: entry.spec,
+    error: compactError(entry.error),
+    summary: entry.insight.summary || "",
+    severity: entry.insight.severity || "",
+    recommendation: entry.insight.recommendation || ""
+});
+
+module.exports = { loadHistory, recordHistory, createHistoryIndex, toSeenBefore, toPromptHistory };
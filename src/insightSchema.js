@@ -0,0 +1,143 @@
+/**
+ * TestAIgnite - Insight Schema
+ *
+ * The formal contract for a per-failure AI insight, plus a small dependency-free validator.
+ * Word limits expressed as config keys (e.g. "minRecommendWords") are resolved at validation time.
+ */
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+
+const INSIGHT_SCHEMA = {
+    type: "object",
+    required: [
+        "summary", "humanError", "testRootCause", "productRootCause", "bugEffect",
+        "inferredExpected", "recommendation", "severity", "confidence", "tags"
+    ],
+    properties: {
+        summary: { type: "string", minWords: 1, maxWords: 15 },
+        humanError: { type: "string", minWords: 1, maxWords: 20 },
+        testRootCause: { type: "string", minWords: 1 },
+        productRootCause: { type: "string", minWords: 1 },
+        bugEffect: { type: "string", minWords: 1 },
+        inferredExpected: { type: "string", minWords: 1 },
+        recommendation: { type: "string", minWords: "minRecommendWords", maxWords: "maxRecommendWords" },
+        severity: { type: "string", enum: SEVERITIES },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+        tags: { type: "array", items: { type: "string" }, minItems: 1, maxItems: 5 }
+    }
+};
+
+/**
+ * Extends the base schema with project-defined `extraFields`.
+ */
+const schemaFor = (extraFields = {}) => {
+    const schema = {
+        ...INSIGHT_SCHEMA,
+        required: [...INSIGHT_SCHEMA.required],
+        properties: { ...INSIGHT_SCHEMA.properties }
+    };
+
+    Object.entries(extraFields).forEach(([field, spec]) => {
+        schema.properties[field] = {
+            type: spec.type || "string",
+            enum: spec.enum,
+            maxWords: spec.maxWords,
+            minimum: spec.minimum,
+            maximum: spec.maximum
+        };
+        if (spec.required) schema.required.push(field);
+    });
+    return schema;
+};
+
+const countWords = (str) => {
+    const trimmed = (str || "").trim();
+    return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+// Limits may be literal numbers or names of config keys.
+const resolveLimit = (limit, config) => (typeof limit === "string" ? config[limit] : limit);
+
+/**
+ * Extracts the first complete JSON object from a model answer (tolerates markdown fences and chatter).
+ * Returns null when no parseable object is found.
+ */
+const extractJson = (raw) => {
+    const text = (raw || "").replace(/```(?:json)?/gi, "").trim();
+    try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        // Fall through to a balanced-brace scan
+    }
+
+    const start = text.indexOf("{");
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === "\\") escaped = true;
+            else if (ch === "\"") inString = false;
+            continue;
+        }
+        if (ch === "\"") inString = true;
+        else if (ch === "{") depth++;
+        else if (ch === "}" && --depth === 0) {
+            try {
+                return JSON.parse(text.slice(start, i + 1));
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates a parsed insight against `schema`. Returns a list of { field, message } errors.
+ */
+const validateInsight = (data, config, schema = INSIGHT_SCHEMA) => {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    schema.required.forEach((field) => {
+        if (data[field] === undefined || data[field] === null) fail(field, "is required");
+    });
+
+    Object.entries(schema.properties).forEach(([field, rule]) => {
+        const value = data[field];
+        if (value === undefined || value === null) return;
+
+        if (rule.type === "string") {
+            if (typeof value !== "string") return fail(field, "must be a string");
+            const words = countWords(value);
+            const min = resolveLimit(rule.minWords, config);
+            const max = resolveLimit(rule.maxWords, config);
+            if (min && words < min) fail(field, `must have at least ${min} words (got ${words})`);
+            if (max && words > max) fail(field, `must have at most ${max} words (got ${words})`);
+            if (rule.enum && !rule.enum.includes(value.toLowerCase())) fail(field, `must be one of ${rule.enum.join(", ")}`);
+        }
+
+        if (rule.type === "number") {
+            if (typeof value !== "number" || !Number.isFinite(value)) return fail(field, "must be a number");
+            if (rule.minimum != null && value < rule.minimum) fail(field, `must be >= ${rule.minimum}`);
+            if (rule.maximum != null && value > rule.maximum) fail(field, `must be <= ${rule.maximum}`);
+        }
+
+        if (rule.type === "array") {
+            if (!Array.isArray(value)) return fail(field, "must be an array");
+            if (rule.items?.type === "string" && value.some((v) => typeof v !== "string")) fail(field, "must contain only strings");
+            if (rule.minItems && value.length < rule.minItems) fail(field, `must have at least ${rule.minItems} item(s)`);
+            if (rule.maxItems && value.length > rule.maxItems) fail(field, `must have at most ${rule.maxItems} items`);
+        }
+    });
+
+    return errors;
+};
+
+module.exports = { INSIGHT_SCHEMA, SEVERITIES, schemaFor, extractJson, validateInsight, resolveLimit, countWords };
@@ -0,0 +1,283 @@
+/**
+ * TestAIgnite - Cypress Error Knowledge Base
+ *
+ * Curated signatures of common Cypress failures, each with a complete insight written in advance.
+ * When the AI provider is unavailable (no token, outage, budget exhausted), a matching rule gives
+ * a deterministic analysis (`modelUsed: "rules"`) instead of the "AI analysis unavailable" placeholder.
+ *
+ * Bump KNOWLEDGE_BASE_VERSION whenever a rule or its wording changes: the version is stored on
+ * every rules insight so reports stay traceable to the rule set that produced them.
+ *
+ * Rule: { id, pattern, severity, confidence, tags, insight, refine?(groups) }
+ * Insight texts may reference the pattern's named capture groups as {{name}}; `refine` may
+ * override severity, confidence, tags or individual texts based on them (e.g. the HTTP status).
+ */
+
+const KNOWLEDGE_BASE_VERSION = "1.0.0";
+
+const RULES = [
+    {
+        id: "uncaught-app-exception",
+        pattern: /(?:The following error originated from your application code|uncaught exception)(?:[^\n]*\n+\s*>\s*(?<appError>[^\n]+))?/i,
+        severity: "high",
+        confidence: 0.7,
+        tags: ["app-exception", "product"],
+        insight: {
+            summary: "The application threw an uncaught JavaScript exception during the test.",
+            humanError: "The page crashed with a script error, so Cypress stopped the test.",
+            testRootCause: "None in the test itself: Cypress fails any test when the application under test throws an uncaught exception.",
+            productRootCause: "Application code threw an unhandled error{{appErrorSuffix}}, which usually points to a missing null check, a failed async call or a broken deployment bundle.",
+            bugEffect: "Users on this page may see a broken or frozen screen and lose the action they were performing.",
+            inferredExpected: "The page should load and handle the interaction without throwing unhandled JavaScript errors.",
+            recommendation: "Fix the Product: reproduce the flow with the browser console open, locate the thrown error in the application source, handle it properly, and only use Cypress.on('uncaught:exception') for known third-party noise, never to hide genuine defects."
+        }
+    },
+    {
+        id: "cross-origin",
+        pattern: /cross-origin|cy\.origin\(\)|SecurityError: Blocked a frame|superdomain/i,
+        severity: "medium",
+        confidence: 0.65,
+        tags: ["cross-origin", "test-config"],
+        insight: {
+            summary: "The test navigated to a different origin without wrapping it in cy.origin().",
+            humanError: "The test tried to work on a page from another website domain, which Cypress blocks by default.",
+            testRootCause: "Commands ran against a second origin (e.g. an SSO or payment page) outside a cy.origin() block, or chromeWebSecurity settings do not allow it.",
+            productRootCause: "Usually none: the redirect to another domain is expected behavior, unless the application now redirects to an unexpected host.",
+            bugEffect: "The journey across domains (login, checkout, OAuth) is not verified by the suite.",
+            inferredExpected: "The test should follow the redirect and continue interacting with the page on the other origin.",
+            recommendation: "Fix the Test: wrap every command that targets the other domain in cy.origin('https://other.domain', () => { ... }), pass needed values through its args option, and confirm the redirect target is the host the application is supposed to use."
+        }
+    },
+    {
+        id: "detached-dom",
+        pattern: /detached from the DOM|element is detached/i,
+        severity: "medium",
+        confidence: 0.7,
+        tags: ["detached-dom", "flaky", "timing"],
+        insight: {
+            summary: "The element was re-rendered and detached from the page before Cypress used it.",
+            humanError: "The page redrew the element while the test was about to click or type on it.",
+            testRootCause: "The test held a reference to an element (alias, chained .then or .within) across a re-render, so Cypress acted on a stale node.",
+            productRootCause: "The application re-renders this part of the page after data loads, which is normal but can hint at unnecessary double rendering.",
+            bugEffect: "No direct user impact in most cases; the test is flaky and hides real regressions behind random failures.",
+            inferredExpected: "The test should interact with the element once the page has finished updating it.",
+            recommendation: "Fix the Test: wait for the re-render trigger first (cy.wait on the request alias or an assertion on loaded content), re-query the element right before the action instead of reusing an alias, and avoid splitting a query and its action across .then callbacks."
+        }
+    },
+    {
+        id: "element-not-actionable",
+        pattern: /is being covered by another element|is not visible because|has CSS property: `(?:display: none|visibility: hidden)`|is disabled\b|cannot be typed into/i,
+        severity: "medium",
+        confidence: 0.65,
+        tags: ["actionability", "ui"],
+        insight: {
+            summary: "Cypress found the element but it was hidden, covered or disabled.",
+            humanError: "The button or field was on the page but could not be clicked or typed into.",
+            testRootCause: "The action ran while an overlay, spinner, animation or disabled state was still in effect, or the test targets the wrong element.",
+            productRootCause: "The element may be genuinely unusable: an overlay that never closes, a form that never enables, or a layout bug on this viewport.",
+            bugEffect: "If the element is truly blocked, users cannot complete this step of the flow.",
+            inferredExpected: "The element should be visible, enabled and on top when the user interacts with it.",
+            recommendation: "Fix the Test first: assert the blocking state is gone (spinner not.exist, button should('be.enabled')) before acting, and check the failure screenshot; avoid { force: true }, because it hides real overlay or layout defects that users would hit."
+        }
+    },
+    {
+        id: "route-wait-timeout",
+        pattern: /cy\.wait\(\)`? timed out waiting `?\d+ms`? for the \d+\w* (?:request|response) to the route: `?(?<route>[^`\s]+?)`?\.?(?:\s|$)/i,
+        severity: "medium",
+        confidence: 0.65,
+        tags: ["network", "timing"],
+        insight: {
+            summary: "The expected network request to {{route}} never happened in time.",
+            humanError: "The page never called the server endpoint the test was waiting for.",
+            testRootCause: "The cy.intercept() for {{route}} may not match the real URL or method, may be registered after the request fired, or waits on the wrong alias.",
+            productRootCause: "The application may have stopped sending the request, sends it to a changed endpoint, or is stuck before reaching that call.",
+            bugEffect: "The data or action behind this request may never reach the user.",
+            inferredExpected: "The application should send the request the test intercepts and receive a response within the timeout.",
+            recommendation: "Fix the Test: register cy.intercept() before the triggering action, compare its URL pattern and method with the request in the browser network tab, and if the request is truly missing, report the changed or absent API call to the product team."
+        }
+    },
+    {
+        id: "request-failed",
+        pattern: /`?cy\.request\(\)`? failed(?:[\s\S]*?>\s*(?<status>\d{3})\b)?/i,
+        severity: "high",
+        confidence: 0.65,
+        tags: ["network", "api"],
+        insight: {
+            summary: "A direct API call made by the test with cy.request() failed.",
+            humanError: "The server answered the test's request with an error or did not answer at all.",
+            testRootCause: "The request URL, method, headers or payload may be outdated, or the test environment base URL points to the wrong server.",
+            productRootCause: "The backend endpoint returned an error or was unreachable.",
+            bugEffect: "Features relying on this endpoint may be unavailable to users.",
+            inferredExpected: "The endpoint should respond successfully to a valid request.",
+            recommendation: "Fix the Product or environment: call the same endpoint manually with the logged request details, check backend logs for the failing call, and confirm the test environment is healthy before changing the test, since a failing API usually blocks real users too."
+        },
+        refine: (groups) => {
+            const status = Number(groups.status);
+            if (status >= 500) {
+                return {
+                    severity: "critical",
+                    confidence: 0.75,
+                    tags: ["network", "api", "server-error"],
+                    insight: {
+                        summary: "The backend answered the test's API request with HTTP {{status}}.",
+                        productRootCause: "The server crashed or failed while handling the request (HTTP {{status}}); this is a backend defect or an unhealthy environment."
+                    }
+                };
+            }
+            if (status === 401 || status === 403) {
+                return {
+                    severity: "medium",
+                    tags: ["network", "api", "auth"],
+                    insight: {
+                        summary: "The API rejected the test's credentials with HTTP {{status}}.",
+                        testRootCause: "The test sends a missing, expired or under-privileged token or session cookie with cy.request().",
+                        productRootCause: "Authorization rules for this endpoint may have changed.",
+                        recommendation: "Fix the Test: refresh how the test obtains its session (cy.session or a login request), check the credentials configured for this environment, and confirm with the team whether the endpoint's required permissions changed on purpose."
+                    }
+                };
+            }
+            if (status === 404) {
+                return {
+                    severity: "medium",
+                    tags: ["network", "api", "not-found"],
+                    insight: {
+                        summary: "The API endpoint or record requested by the test was not found.",
+                        testRootCause: "The test calls an outdated URL or relies on test data that does not exist in this environment."
+                    }
+                };
+            }
+            return null;
+        }
+    },
+    {
+        id: "visit-failed",
+        pattern: /`?cy\.visit\(\)`? failed|Timed out after waiting `?\d+ms`? for your remote page to load/i,
+        severity: "high",
+        confidence: 0.65,
+        tags: ["environment", "navigation"],
+        insight: {
+            summary: "The page under test could not be loaded.",
+            humanError: "The website did not open, so the test could not start.",
+            testRootCause: "The baseUrl or visited path may be wrong for this environment, or the test starts before the application server is ready.",
+            productRootCause: "The application server was down, slow to respond or returned an error page for this route.",
+            bugEffect: "Users may be unable to reach this page at all.",
+            inferredExpected: "The page should load successfully within the page load timeout.",
+            recommendation: "Fix the environment first: open the same URL manually, check that the application server and its dependencies were healthy during the run, verify baseUrl, and make the pipeline wait for the server to be ready before starting Cypress."
+        }
+    },
+    {
+        id: "element-not-found",
+        pattern: /Timed out retrying after \d+ms: Expected to find (?:element|content):? `?(?<selector>[^`]+?)`?,? (?:within the element[^,]*, )?but never found it/i,
+        severity: "medium",
+        confidence: 0.6,
+        tags: ["selector", "timing"],
+        insight: {
+            summary: "The test could not find {{selector}} on the page.",
+            humanError: "Something the test expected to see never appeared on the screen.",
+            testRootCause: "The selector {{selector}} may be outdated after a UI change, or the test looks for it before the page finished loading.",
+            productRootCause: "The application may not render this element anymore, render it conditionally, or fail before reaching this state.",
+            bugEffect: "If the element is genuinely missing, users cannot see or use this part of the page.",
+            inferredExpected: "The element {{selector}} should be present on the page after the previous step.",
+            recommendation: "Fix the Test or the Product: compare the failure screenshot with the expected page, confirm whether {{selector}} still exists, prefer stable data-cy attributes, and wait on the request that renders it instead of raising timeouts."
+        }
+    },
+    {
+        id: "assertion-include",
+        pattern: /expected (?<actual>.+?) to (?:include|contain)(?: text)? (?<expected>'[^']*'|"[^"]*"|\S+)/i,
+        severity: "medium",
+        confidence: 0.55,
+        tags: ["assertion", "content"],
+        insight: {
+            summary: "The page content did not include the text the test expected.",
+            humanError: "The text shown on the page was different from what the test expected to see.",
+            testRootCause: "The expected text {{expected}} may be outdated (copy change, localization, formatting) or the assertion runs before the content updates.",
+            productRootCause: "The application may show wrong, incomplete or stale content in this place.",
+            bugEffect: "Users may see incorrect or missing information.",
+            inferredExpected: "The content should include {{expected}}.",
+            recommendation: "Fix the Test or the Product: compare the actual value with the expected text in the error, confirm with the requirements which one is correct, and if the content loads asynchronously, assert on it with should() so Cypress retries until it updates."
+        }
+    },
+    {
+        id: "assertion-mismatch",
+        pattern: /expected (?<actual>.+?) to (?:deeply )?(?:equal|eql|eq|have (?:text|value|length(?: of)?|been called)|be (?:visible|checked|enabled|disabled|true|false))(?: (?<expected>'[^']*'|"[^"]*"|\S+))?/i,
+        severity: "medium",
+        confidence: 0.5,
+        tags: ["assertion"],
+        insight: {
+            summary: "An assertion failed because the actual value differed from the expected one.",
+            humanError: "The page showed a different value or state than the test expected.",
+            testRootCause: "The expected value may be outdated, depend on test data that changed, or be checked before the page finished updating.",
+            productRootCause: "The application may compute, store or display this value incorrectly.",
+            bugEffect: "Users may see or act on incorrect data.",
+            inferredExpected: "The checked value should match the expectation written in the test.",
+            recommendation: "Fix the Test or the Product: read the actual and expected values in the error message, check which one the requirements define as correct, stabilize the test data behind the value, and use retrying should() assertions for values that load asynchronously."
+        }
+    },
+    {
+        id: "command-timeout",
+        pattern: /Timed out retrying after \d+ms/i,
+        severity: "medium",
+        confidence: 0.45,
+        tags: ["timing"],
+        insight: {
+            summary: "A Cypress command kept retrying until its timeout expired.",
+            humanError: "The page did not reach the state the test was waiting for in time.",
+            testRootCause: "The test waits for a condition that depends on slow or unfinished work, or checks the wrong element or value.",
+            productRootCause: "The application may be slow, stuck in a loading state or never reach the expected state.",
+            bugEffect: "Users may experience a slow or stuck page at this step.",
+            inferredExpected: "The page should reach the awaited state within the command timeout.",
+            recommendation: "Fix the Test or the Product: look at the screenshot to see where the page was stuck, wait on the specific network alias that drives the change instead of increasing timeouts, and report consistently slow responses to the product team."
+        }
+    }
+];
+
+const fill = (text, vars) => text.replace(/\{\{(\w+)\}\}/g, (_, name) => vars[name] ?? "");
+
+// Keeps captured values short and on one line inside prose
+const shorten = (value, max = 60) => {
+    const line = String(value || "").replace(/\s+/g, " ").trim();
+    return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+};
+
+/**
+ * Returns the first matching rule for a Cypress error message: { rule, groups } or null.
+ */
+const matchRule = (message) => {
+    if (!message) return null;
+    for (const rule of RULES) {
+        const match = rule.pattern.exec(message);
+        if (match) return { rule, groups: match.groups || {} };
+    }
+    return null;
+};
+
+/**
+ * Builds a complete, deterministic insight from the knowledge base, or null when no rule matches.
+ */
+const getRulesInsight = (message) => {
+    const found = matchRule(message);
+    if (!found) return null;
+
+    const { rule } = found;
+    const groups = Object.fromEntries(Object.entries(found.groups).map(([k, v]) => [k, shorten(v)]));
+    const refined = rule.refine ? rule.refine(groups) || {} : {};
+    const vars = {
+        ...groups,
+        selector: groups.selector ? `\`${groups.selector}\`` : "the element",
+        expected: groups.expected || "the expected text",
+        route: groups.route || "the route",
+        appErrorSuffix: groups.appError ? ` ("${groups.appError}")` : ""
+    };
+    const texts = { ...rule.insight, ...refined.insight };
+
+    return {
+        ...Object.fromEntries(Object.entries(texts).map(([field, text]) => [field, fill(text, vars)])),
+        severity: refined.severity || rule.severity,
+        confidence: refined.confidence ?? rule.confidence,
+        tags: [...(refined.tags || rule.tags)],
+        modelUsed: "rules",
+        rule: { id: rule.id, version: KNOWLEDGE_BASE_VERSION }
+    };
+};
+
+module.exports = { getRulesInsight, matchRule, KNOWLEDGE_BASE_VERSION, RULES };
@@ -0,0 +1,92 @@
+/**
+ * TestAIgnite - Known-Issue Registry
+ *
+ * A local file (default `testaignite.known-issues.json`) maps failures the team already tracks
+ * to their ticket. Matched failures are labeled as known issues in the report instead of being
+ * re-reported as new every night.
+ *
+ * Entry: { id, url?, status?, expires?, fingerprint?, pattern?, spec?, title? }
+ * - `fingerprint`: failure fingerprint prefix as stored on insights (`ai.fingerprint`), or a
+ *   cluster id ("C-1a2b3c4d");
+ * - `pattern`: case-insensitive regular expression on the error message;
+ * - `spec` / `title`: optional case-insensitive regular expressions narrowing the match;
+ * - `expires`: ISO date after which the entry is flagged as expired (it still matches).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toMatcher } = require("./selection");
+
+const MIN_FINGERPRINT_LENGTH = 8;
+
+const isExpired = (expires, now = Date.now()) => {
+    if (!expires) return false;
+    const time = Date.parse(expires);
+    return Number.isFinite(time) && time < now;
+};
+
+const compileEntry = (entry, index) => {
+    const id = entry?.id || `known-issue-${index + 1}`;
+    const fingerprint = String(entry?.fingerprint || "").replace(/^C-/i, "").toLowerCase();
+    if (!entry?.pattern && fingerprint.length < MIN_FINGERPRINT_LENGTH) {
+        console.warn(`[WARN] Known issue "${id}" needs a pattern or a fingerprint of at least ${MIN_FINGERPRINT_LENGTH} characters; skipped.`);
+        return null;
+    }
+
+    const byError = toMatcher(entry.pattern, "is");
+    const bySpec = toMatcher(entry.spec);
+    const byTitle = toMatcher(entry.title);
+
+    return {
+        issue: {
+            id,
+            url: entry.url || null,
+            status: entry.status || null,
+            expires: entry.expires || null
+        },
+        matches: ({ test, specFile, error, fingerprint: actual }) => {
+            if (bySpec && !bySpec(specFile)) return false;
+            if (byTitle && !byTitle(test.fullTitle || test.title)) return false;
+            if (fingerprint && !(actual || "").startsWith(fingerprint)) return false;
+            if (byError && !byError(error)) return false;
+            return true;
+        }
+    };
+};
+
+/**
+ * Loads `config.knownIssues` (inline array) or the registry file (`knownIssuesFile`).
+ * Returns `match(subject)` -> known-issue object or null. Subject: { test, specFile, error, fingerprint }.
+ */
+const loadKnownIssues = (config) => {
+    let entries = config.knownIssues;
+    if (!entries && config.knownIssuesFile) {
+        const file = path.resolve(process.cwd(), config.knownIssuesFile);
+        if (fs.existsSync(file)) {
+            try {
+                const loaded = JSON.parse(fs.readFileSync(file, "utf-8"));
+                entries = Array.isArray(loaded) ? loaded : loaded?.issues;
+                console.log(`[INFO] Loaded ${(entries || []).length} known issue(s) from ${path.basename(file)}`);
+            } catch (e) {
+                console.warn(`[WARN] Failed to load known issues from ${file}: ${e.message}`);
+            }
+        }
+    }
+
+    const registry = (Array.isArray(entries) ? entries : []).map(compileEntry).filter(Boolean);
+    const warned = new Set();
+
+    return (subject) => {
+        const entry = registry.find((e) => e.matches(subject));
+        if (!entry) return null;
+
+        const expired = isExpired(entry.issue.expires);
+        if (expired && !warned.has(entry.issue.id)) {
+            warned.add(entry.issue.id);
+            console.warn(`[WARN] Known issue ${entry.issue.id} expired on ${entry.issue.expires} but still matches failures; review or extend it.`);
+        }
+        return { ...entry.issue, expired };
+    };
+};
+
+module.exports = { loadKnownIssues, isExpired };
@@ -0,0 +1,228 @@
+/**
+ * TestAIgnite - AI Provider Layer
+ *
+ * Normalizes the chat-completion backends the enrichment pipeline can talk to.
+ * Every provider exposes the same shape:
+ *
+ *   { name, models, chatCompletion({ model, messages, max_tokens, temperature, top_p }, { signal }) }
+ *
+ * where `chatCompletion` resolves to `{ content, usage: { inputTokens, outputTokens } }`
+ * and rejects with errors carrying `status` (and `retryAfterMs` when the server sent Retry-After).
+ *
+ * Built-in: "huggingface" (default), "openai-compatible" (gateways, vLLM, llama.cpp server), "ollama",
+ * and "replay" (serves fixtures captured in record mode, see recording.js).
+ * Anything else is treated as a path to a custom module exporting a provider or a provider factory.
+ */
+
+const path = require("path");
+const { HfInference } = require("@huggingface/inference");
+const { parseRetryAfter, statusOf } = require("./retry");
+const { createReplayProvider } = require("./recording");
+
+const ALIASES = {
+    hf: "huggingface",
+    openai: "openai-compatible",
+    "llama.cpp": "openai-compatible",
+    llamacpp: "openai-compatible"
+};
+
+// Per-provider defaults, overridable through `config.providers[<name>]`.
+const PROVIDER_DEFAULTS = {
+    huggingface: {
+        apiKeyEnv: ["HUGGINGFACE_API_TOKEN", "HF_API_KEY", "HUGGINGFACEHUB_API_TOKEN"],
+        requiresKey: true
+    },
+    "openai-compatible": {
+        baseUrl: "http://localhost:8080/v1", // llama.cpp server default
+        apiKeyEnv: ["TESTAIGNITE_AI_API_KEY", "OPENAI_API_KEY"],
+        requiresKey: false
+    },
+    ollama: {
+        baseUrl: "http://localhost:11434",
+        apiKeyEnv: ["TESTAIGNITE_AI_API_KEY"],
+        requiresKey: false
+    },
+    replay: {
+        requiresKey: false
+    }
+};
+
+// --- UTILITIES ---
+
+const resolveApiKey = (settings) => {
+    if (settings.apiKey) return settings.apiKey;
+    const envNames = [].concat(settings.apiKeyEnv || []);
+    for (const name of envNames) {
+        if (process.env[name]) return process.env[name];
+    }
+    return null;
+};
+
+const postJson = async (url, body, headers = {}, signal) => {
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        const err = new Error(`HTTP ${res.status} from ${url}: ${text.slice(0, 200)}`);
+        err.status = res.status;
+        err.retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+        throw err;
+    }
+    return res.json();
+};
+
+const trimSlash = (url) => (url || "").replace(/\/+$/, "");
+
+// --- BUILT-IN PROVIDERS ---
+
+const createHuggingFaceProvider = (settings) => {
+    const hf = new HfInference(settings.apiKey);
+
+    return {
+        name: "huggingface",
+        models: settings.models,
+        chatCompletion: async (request, { signal } = {}) => {
+            let response;
+            try {
+                response = await hf.chatCompletion(request, { signal });
+            } catch (err) {
+                // Surface the HTTP status so the retry policy can classify it
+                if (err.status == null && statusOf(err)) err.status = statusOf(err);
+                throw err;
+            }
+            return {
+                content: response.choices?.[0]?.message?.content,
+                usage: {
+                    inputTokens: response.usage?.prompt_tokens ?? null,
+                    outputTokens: response.usage?.completion_tokens ?? null
+                }
+            };
+        }
+    };
+};
+
+const createOpenAiCompatibleProvider = (settings) => {
+    const baseUrl = trimSlash(settings.baseUrl);
+    const headers = { ...(settings.headers || {}) };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    return {
+        name: "openai-compatible",
+        models: settings.models,
+        chatCompletion: async (request, { signal } = {}) => {
+            const response = await postJson(`${baseUrl}/chat/completions`, request, headers, signal);
+            return {
+                content: response.choices?.[0]?.message?.content,
+                usage: {
+                    inputTokens: response.usage?.prompt_tokens ?? null,
+                    outputTokens: response.usage?.completion_tokens ?? null
+                }
+            };
+        }
+    };
+};
+
+const createOllamaProvider = (settings) => {
+    const baseUrl = trimSlash(settings.baseUrl);
+    const headers = { ...(settings.headers || {}) };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    return {
+        name: "ollama",
+        models: settings.models,
+        chatCompletion: async ({ model, messages, max_tokens, temperature, top_p }, { signal } = {}) => {
+            const response = await postJson(`${baseUrl}/api/chat`, {
+                model,
+                messages,
+                stream: false,
+                options: { num_predict: max_tokens, temperature, top_p }
+            }, headers, signal);
+            return {
+                content: response.message?.content,
+                usage: {
+                    inputTokens: response.prompt_eval_count ?? null,
+                    outputTokens: response.eval_count ?? null
+                }
+            };
+        }
+    };
+};
+
+const BUILT_IN = {
+    huggingface: createHuggingFaceProvider,
+    "openai-compatible": createOpenAiCompatibleProvider,
+    ollama: createOllamaProvider,
+    replay: createReplayProvider
+};
+
+// --- CUSTOM PROVIDERS ---
+
+/**
+ * Accepts a module path, a factory function or a ready provider object.
+ */
+const createCustomProvider = (spec, settings, config) => {
+    let exported = spec;
+    if (typeof spec === "string") {
+        exported = require(path.resolve(process.cwd(), spec));
+    }
+
+    const provider = typeof exported === "function" ? exported(settings, config) : exported;
+    if (!provider || typeof provider.chatCompletion !== "function") {
+        throw new Error("Custom AI provider must expose a chatCompletion(request) function");
+    }
+
+    return {
+        name: provider.name || (typeof spec === "string" ? path.basename(spec) : "custom"),
+        ...provider,
+        models: provider.models || settings.models
+    };
+};
+
+// --- FACTORY ---
+
+/**
+ * Builds the provider selected by `config.provider`.
+ * Returns null when the provider needs credentials that are not available,
+ * so the pipeline can fall back to offline insights.
+ */
+const createProvider = (config) => {
+    const spec = config.provider || "huggingface";
+    const name = typeof spec === "string" ? (ALIASES[spec] || spec) : null;
+    const userSettings = (name && config.providers?.[name]) || (typeof spec === "string" ? config.providers?.[spec] : null) || {};
+
+    const settings = {
+        ...(PROVIDER_DEFAULTS[name] || {}),
+        ...userSettings
+    };
+    settings.models = userSettings.models || config.models;
+    settings.fixturesDir = userSettings.fixturesDir || config.fixturesDir;
+    settings.apiKey = resolveApiKey(settings);
+
+    if (!BUILT_IN[name]) {
+        return createCustomProvider(spec, settings, config);
+    }
+
+    if (settings.requiresKey && !settings.apiKey) {
+        console.error(`[ERROR] API key for provider "${name}" is MISSING. Set one of: ${[].concat(settings.apiKeyEnv).join(", ")}.`);
+        return null;
+    }
+
+    if (settings.apiKey) {
+        console.log(`[DEBUG] ${name} API Key found (Prefix: ${settings.apiKey.slice(0, 4)}...)`);
+    }
+    if (settings.baseUrl) {
+        console.log(`[INFO] Using ${name} provider at ${settings.baseUrl}`);
+    }
+    if (name === "replay") {
+        console.log(`[INFO] Replaying recorded AI responses from ${settings.fixturesDir}`);
+    }
+
+    return BUILT_IN[name](settings);
+};
+
+module.exports = { createProvider };
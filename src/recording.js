@@ -0,0 +1,93 @@
+/**
+ * TestAIgnite - Record & Replay
+ *
+ * `record` mode wraps the live provider and stores every request/response pair as a fixture
+ * file; the "replay" provider serves those fixtures back by request hash. Together they let the
+ * full AI path (validation, repair, model fallback, fallback insight) run deterministically
+ * without a network or an API token.
+ *
+ * Fixture: { key, model, messages, response: { content, usage } | error: { message, status }, recordedAt }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hashParts } = require("./fingerprint");
+const { statusOf } = require("./retry");
+
+/**
+ * Identifies a request by model and the full conversation (prompt plus any repair turns).
+ */
+const recordingKey = ({ model, messages }) => hashParts(model, JSON.stringify(messages || []));
+
+const fixturePath = (dir, key) => path.join(dir, `${key}.json`);
+
+/**
+ * Wraps `provider` so every answer (and every HTTP error) is written to `dir`.
+ * Timeouts and transport failures are not recorded: they say nothing about the prompt.
+ */
+const withRecorder = (provider, dir) => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const save = (request, outcome) => {
+        const key = recordingKey(request);
+        const fixture = { key, model: request.model, messages: request.messages, ...outcome, recordedAt: new Date().toISOString() };
+        try {
+            fs.writeFileSync(fixturePath(dir, key), JSON.stringify(fixture, null, 2));
+        } catch (e) {
+            console.warn(`[WARN] Failed to record AI fixture: ${e.message}`);
+        }
+    };
+
+    return {
+        ...provider,
+        chatCompletion: async (request, options) => {
+            try {
+                const response = await provider.chatCompletion(request, options);
+                save(request, { response: { content: response.content, usage: response.usage || null } });
+                return response;
+            } catch (err) {
+                if (statusOf(err)) save(request, { error: { message: err.message, status: statusOf(err) } });
+                throw err;
+            }
+        }
+    };
+};
+
+/**
+ * Built-in "replay" provider. Unknown requests fail (without retry) so the pipeline moves to
+ * the next model and, eventually, to the offline fallback insight.
+ */
+const createReplayProvider = (settings) => {
+    const dir = path.resolve(settings.fixturesDir);
+    if (!fs.existsSync(dir)) {
+        console.warn(`[WARN] Replay fixtures folder not found: ${dir}`);
+    }
+
+    return {
+        name: "replay",
+        models: settings.models,
+        chatCompletion: async (request) => {
+            const key = recordingKey(request);
+            let fixture;
+            try {
+                fixture = JSON.parse(fs.readFileSync(fixturePath(dir, key), "utf-8"));
+            } catch (e) {
+                const err = new Error(`No recorded response for ${request.model} (request ${key.slice(0, 12)})`);
+                err.code = "ENOFIXTURE";
+                throw err;
+            }
+
+            if (fixture.error) {
+                const err = new Error(fixture.error.message);
+                err.status = fixture.error.status;
+                throw err;
+            }
+            return {
+                content: fixture.response?.content,
+                usage: fixture.response?.usage || { inputTokens: null, outputTokens: null }
+            };
+        }
+    };
+};
+
+module.exports = { withRecorder, createReplayProvider, recordingKey };
@@ -0,0 +1,160 @@
+/**
+ * TestAIgnite - Secret & PII Redaction
+ *
+ * Masks credentials and personal data in failure details before they are rendered into a
+ * prompt (and, optionally, into the HTML payload). Built-in detectors cover JWTs, bearer
+ * tokens, well-known API key formats, secret assignments, typed passwords, emails,
+ * card-like numbers and URLs with embedded credentials; projects add their own regex rules
+ * through `redactionRules`.
+ */
+
+const mask = (name) => `[REDACTED:${name}]`;
+
+// Luhn checksum, so build numbers and timestamps are not mistaken for card numbers
+const passesLuhn = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+};
+
+// Order matters: specific formats run before the generic ones that could swallow them.
+const BUILTIN_DETECTORS = [
+    {
+        name: "url-credentials",
+        pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi,
+        replace: (match, scheme) => `${scheme}${mask("url-credentials")}@`
+    },
+    {
+        name: "jwt",
+        pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g
+    },
+    {
+        name: "bearer-token",
+        pattern: /\b(Bearer|Basic|Token)\s+[A-Za-z0-9._~+/=-]{8,}/g,
+        replace: (match, scheme) => `${scheme} ${mask("bearer-token")}`
+    },
+    {
+        name: "api-key",
+        pattern: /\b(?:sk-[A-Za-z0-9_-]{16,}|hf_[A-Za-z0-9]{20,}|gh[pousr]_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})\b/g
+    },
+    {
+        name: "secret",
+        pattern: /\b((?:api[_-]?key|apikey|secret|client[_-]?secret|access[_-]?token|auth[_-]?token|token|password|passwd|pwd)["']?\s*[:=]\s*["']?)([^\s"'&,;})]{3,})/gi,
+        replace: (match, key) => `${key}${mask("secret")}`
+    },
+    {
+        name: "password",
+        // cy.get('[data-cy=password]').type('hunter2')
+        pattern: /(pass(?:word|wd|code)?[^\n]{0,80}?\.type\(\s*)(['"`])((?:(?!\2).)+)\2/gi,
+        replace: (match, prefix, quote) => `${prefix}${quote}${mask("password")}${quote}`
+    },
+    {
+        name: "email",
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        name: "card-number",
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        test: (match) => passesLuhn(match.replace(/\D/g, ""))
+    }
+];
+
+/**
+ * Compiles a project rule `{ name, pattern, flags, replacement }`. `pattern` may be a RegExp or a string.
+ */
+const compileRule = (rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    try {
+        const source = rule.pattern instanceof RegExp ? rule.pattern.source : String(rule.pattern);
+        const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : (rule.flags || "g");
+        const pattern = new RegExp(source, flags.includes("g") ? flags : `${flags}g`);
+        const replacement = rule.replacement ?? mask(name);
+        return { name, pattern, replace: () => replacement };
+    } catch (e) {
+        console.warn(`[WARN] Ignoring invalid redaction rule "${name}": ${e.message}`);
+        return null;
+    }
+};
+
+/**
+ * Creates a redactor from config (`redaction`, `redactionRules`).
+ * `redact(text, counts)` returns the masked text and adds per-detector hit counts to `counts`.
+ */
+const createRedactor = (config = {}) => {
+    const enabled = config.redaction !== false;
+    const rules = enabled
+        ? [...BUILTIN_DETECTORS, ...(config.redactionRules || []).map(compileRule).filter(Boolean)]
+        : [];
+
+    const redact = (text, counts = {}) => {
+        if (typeof text !== "string" || !text || rules.length === 0) return text;
+        return rules.reduce((out, rule) => out.replace(rule.pattern, (...args) => {
+            const match = args[0];
+            if (rule.test && !rule.test(match)) return match;
+            counts[rule.name] = (counts[rule.name] || 0) + 1;
+            return rule.replace ? rule.replace(...args) : mask(rule.name);
+        }), text);
+    };
+
+    return { enabled, redact };
+};
+
+/**
+ * Redacted copies of everything a prompt is built from: the test fields and the spec source context.
+ * The original objects are left untouched so reports keep their raw data.
+ */
+const redactPromptInputs = (test, source, redactor) => {
+    const counts = {};
+    const r = (value) => redactor.redact(value, counts);
+    const err = test.err || {};
+
+    const redactedTest = {
+        ...test,
+        title: r(test.title),
+        fullTitle: r(test.fullTitle),
+        code: r(test.code),
+        err: { ...err, message: r(err.message), stack: r(err.stack), estack: r(err.estack) }
+    };
+
+    const redactedSource = source && {
+        ...source,
+        excerpt: r(source.excerpt),
+        commands: (source.commands || []).map((c) => ({ ...c, code: r(c.code) }))
+    };
+
+    return { test: redactedTest, source: redactedSource, counts };
+};
+
+/**
+ * Redacts every string in a JSON-like value (used for the HTML payload). Inline screenshots are skipped.
+ */
+const redactDeep = (value, redactor, counts = {}) => {
+    if (typeof value === "string") {
+        return value.startsWith("data:image") ? value : redactor.redact(value, counts);
+    }
+    if (Array.isArray(value)) return value.map((v) => redactDeep(v, redactor, counts));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v, redactor, counts)]));
+    }
+    return value;
+};
+
+/**
+ * Totals hit counts for log lines: { total: 3, summary: "email x2, jwt x1" }.
+ */
+const describeCounts = (counts) => {
+    const entries = Object.entries(counts);
+    return {
+        total: entries.reduce((acc, [, n]) => acc + n, 0),
+        summary: entries.map(([name, n]) => `${name} x${n}`).join(", ")
+    };
+};
+
+module.exports = { createRedactor, redactPromptInputs, redactDeep, describeCounts, BUILTIN_DETECTORS };
@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
 const { globSync } = require('glob');
+const { loadProjectConfig } = require('./config');
+const { createRedactor, redactDeep, describeCounts } = require('./redaction');
+const { loadSidecar, mergeSidecar } = require('./sidecar');
 
 /**
  * MODULE 5: Branded Offline HTML Report Generator
@@ -97,6 +100,12 @@ const generateHtmlReport = (options = {}) => {
     };
 
     // 1. Data Ingestion (Merged Mochawesome JSON parts)
+    let reportsUpdatedAt = 0; // Newest modification time of the parts read, for the sidecar check
+    const readReport = (file) => {
+        reportsUpdatedAt = Math.max(reportsUpdatedAt, fs.statSync(file).mtimeMs);
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    };
+
     const getResults = () => {
         console.log("🔍 Scanning for report parts in .jsons folder...");
         const reportsFolder = path.resolve(PATHS.reportsFolder).replace(/\\/g, '/');
@@ -105,8 +114,8 @@ const generateHtmlReport = (options = {}) => {
 
         if (files.length === 0) {
             console.log("⚠️ No specific parts found. Pattern used:", globPattern);
-            if (fs.existsSync(PATHS.results)) return JSON.parse(fs.readFileSync(PATHS.results, 'utf-8'));
-            if (fs.existsSync(PATHS.baseResults)) return JSON.parse(fs.readFileSync(PATHS.baseResults, 'utf-8'));
+            if (fs.existsSync(PATHS.results)) return readReport(PATHS.results);
+            if (fs.existsSync(PATHS.baseResults)) return readReport(PATHS.baseResults);
             return null;
         }
 
@@ -124,7 +133,7 @@ const generateHtmlReport = (options = {}) => {
         };
 
         files.forEach(f => {
-            const data = JSON.parse(fs.readFileSync(f, 'utf-8'));
+            const data = readReport(f);
 
             // Merge Stats
             master.stats.suites += data.stats.suites || 0;
@@ -143,6 +152,11 @@ const generateHtmlReport = (options = {}) => {
 
             // Use the latest meta
             master.meta = data.meta || master.meta;
+
+            // Keep the newest run-level AI summary
+            if (data.aiSummary && (!master.aiSummary || data.aiSummary.generatedAt > master.aiSummary.generatedAt)) {
+                master.aiSummary = data.aiSummary;
+            }
         });
 
         // Re-calculate percentages
@@ -154,12 +168,37 @@ const generateHtmlReport = (options = {}) => {
         return master;
     };
 
-    const report = getResults();
+    let report = getResults();
     if (!report) {
         console.error("❌ No results.json found. Run tests first.");
         return;
     }
 
+    const config = { ...loadProjectConfig(), ...options };
+
+    // Merge AI insights kept outside the Mochawesome JSON (non-destructive "sidecar" mode).
+    // Without `sidecar` configured, only a sidecar written after the report parts is merged, so a
+    // leftover file never overrides insights a later in-place run wrote into the reports.
+    const sidecarPath = config.sidecarPath || path.join(process.cwd(), 'cypress/reports/insights.json');
+    if (fs.existsSync(sidecarPath)) {
+        const sidecar = loadSidecar(sidecarPath);
+        const sidecarUpdatedAt = Date.parse(sidecar.updatedAt) || fs.statSync(sidecarPath).mtimeMs;
+        if (config.sidecar || sidecarUpdatedAt > reportsUpdatedAt) {
+            const merged = mergeSidecar(report, sidecar);
+            console.log(`🧩 Merged ${merged} AI insight(s) from ${path.basename(sidecarPath)}`);
+        } else {
+            console.log(`⏭️ Ignored ${path.basename(sidecarPath)}: older than the report parts (set "sidecar": true to always merge it).`);
+        }
+    }
+
+    // Optional: apply the AI redaction rules to everything embedded in the HTML
+    if (config.redactHtml) {
+        const counts = {};
+        report = redactDeep(report, createRedactor(config), counts);
+        const { total, summary } = describeCounts(counts);
+        console.log(`🔒 Redacted ${total} value(s) from the report payload${total ? ` (${summary})` : ''}.`);
+    }
+
     // 2. Normalize View Model
     const { tests, suites } = flattenTests(report);
     const stats = {
@@ -0,0 +1,113 @@
+/**
+ * TestAIgnite - Timeout & Retry Policy for AI calls
+ *
+ * Classifies provider errors, computes exponential backoff with jitter (honoring Retry-After),
+ * and wraps calls in an AbortController-backed timeout.
+ */
+
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504];
+// Credentials are wrong for the whole provider: no point trying another model or test.
+const FATAL_STATUS = [401, 403];
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+/**
+ * Extracts an HTTP status from our own errors or Hugging Face client errors.
+ */
+const statusOf = (err) => err?.status ?? err?.httpResponse?.status ?? null;
+
+/**
+ * True when the provider rejected our credentials; enrichment should stop calling it.
+ */
+const isFatalError = (err) => FATAL_STATUS.includes(statusOf(err));
+
+/**
+ * True for timeouts, throttling, 5xx and transport failures.
+ */
+const isRetryableError = (err) => {
+    if (!err) return false;
+    if (err.code === "ETIMEDOUT" || err.name === "AbortError") return true;
+
+    const status = statusOf(err);
+    if (status) return RETRYABLE_STATUS.includes(status);
+
+    const code = err.code || err.cause?.code;
+    if (NETWORK_CODES.includes(code)) return true;
+    return err.name === "TypeError" && /fetch failed/i.test(err.message || "");
+};
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ */
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with jitter. Retry-After from the server wins when present.
+ */
+const backoffDelay = (attempt, err, config) => {
+    const max = config.retryMaxDelayMs;
+    if (err?.retryAfterMs != null) return Math.min(err.retryAfterMs, max);
+
+    const exp = config.retryBaseDelayMs * Math.pow(2, attempt);
+    const jittered = exp / 2 + Math.random() * (exp / 2);
+    return Math.min(jittered, max);
+};
+
+/**
+ * Runs `fn(signal)` and aborts it after `timeoutMs`. The call is also raced against the timer,
+ * so a provider that ignores the signal still rejects with ETIMEDOUT on time.
+ */
+const withTimeout = async (fn, timeoutMs) => {
+    if (!timeoutMs || timeoutMs <= 0) return fn(undefined);
+
+    const controller = new AbortController();
+    const timeout = new Error(`Timed out after ${timeoutMs}ms`);
+    timeout.code = "ETIMEDOUT";
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(timeout);
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([fn(controller.signal), expired]);
+    } catch (err) {
+        if (controller.signal.aborted) throw timeout;
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Per-run circuit breaker: after `threshold` consecutive failed calls a model is skipped for the
+ * rest of the run instead of being retried for every remaining test. A threshold of 0 disables it.
+ */
+const createCircuitBreaker = ({ threshold = 3 } = {}) => {
+    const failures = new Map();
+    const open = new Set();
+
+    return {
+        isOpen: (model) => open.has(model),
+        success: (model) => failures.set(model, 0),
+        // True when this failure opened the circuit
+        failure: (model) => {
+            if (!(threshold > 0) || open.has(model)) return false;
+            const count = (failures.get(model) || 0) + 1;
+            failures.set(model, count);
+            if (count < threshold) return false;
+            open.add(model);
+            return true;
+        },
+        openModels: () => Array.from(open)
+    };
+};
+
+module.exports = { isRetryableError, isFatalError, parseRetryAfter, backoffDelay, withTimeout, statusOf, createCircuitBreaker };
@@ -0,0 +1,40 @@
+/**
+ * TestAIgnite - Cost-Aware Model Routing
+ *
+ * Plain command timeouts and elements that were never found rarely need a large model: these
+ * "simple" failures go to the cheap model(s) first, with the larger ones as fallback. Assertion
+ * and product-behavior failures keep the configured order, larger models first and the cheap
+ * ones last. Failures are classified from the heuristic error tags (`deriveTags`).
+ */
+
+const SIMPLE = "simple";
+const COMPLEX = "complex";
+
+/**
+ * "simple" | "complex" for a failure's heuristic tags.
+ */
+const classifyFailure = (tags) => {
+    if (tags.includes("network")) return COMPLEX; // Backend behavior, not a test mechanics problem
+    if (tags.includes("selector")) return SIMPLE;
+    if (tags.includes("timing") && !tags.includes("assertion")) return SIMPLE;
+    return COMPLEX;
+};
+
+/**
+ * The configured `cheapModels` that are in `models`, or else the last (most efficient) model of the list.
+ */
+const cheapModelsOf = (models, cheapModels) => {
+    if (Array.isArray(cheapModels) && cheapModels.length) return models.filter((m) => cheapModels.includes(m));
+    return models.length > 1 ? [models[models.length - 1]] : [];
+};
+
+/**
+ * Model order for a failure class: cheap models first for simple failures, last for complex ones.
+ */
+const routeModels = (models, route, cheapModels) => {
+    const cheap = cheapModelsOf(models, cheapModels);
+    const rest = models.filter((m) => !cheap.includes(m));
+    return route === SIMPLE ? [...cheap, ...rest] : [...rest, ...cheap];
+};
+
+module.exports = { classifyFailure, routeModels, SIMPLE, COMPLEX };
@@ -0,0 +1,68 @@
+/**
+ * TestAIgnite - Candidate Selection
+ *
+ * Decides which failed tests are (re-)analyzed on a run. By default only failures without an
+ * insight are sent to the model; `force`, `onlyFallback` and the `grep` / `spec` selectors let
+ * teams retry placeholder insights after an outage or refresh a subset of the suite.
+ */
+
+/**
+ * Builds a case-insensitive matcher from a regex source; falls back to a plain substring match
+ * when the pattern is not a valid regular expression (e.g. "login(").
+ * Error-message matchers pass "is" so `.` also spans the lines of multi-line Cypress errors.
+ */
+const toMatcher = (pattern, flags = "i") => {
+    if (!pattern) return null;
+    try {
+        const re = new RegExp(pattern, flags);
+        return (value) => re.test(value || "");
+    } catch (e) {
+        const needle = String(pattern).toLowerCase();
+        return (value) => (value || "").toLowerCase().includes(needle);
+    }
+};
+
+/**
+ * True for offline fallback placeholders and knowledge base insights, degraded answers and
+ * low-confidence insights.
+ */
+const isWeakInsight = (ai, config) => {
+    if (!ai) return true;
+    if (!ai.modelUsed || ai.modelUsed === "rules") return true; // getFallbackInsight placeholder or rule match
+    if (ai.quality?.status === "degraded") return true;
+    return typeof ai.confidence === "number" && ai.confidence < config.minConfidence;
+};
+
+/**
+ * Returns `select(test, specFile, existing)` -> { selected, reanalyze }.
+ * `existing` is the insight already stored for the test (embedded or in the sidecar).
+ */
+const createSelector = (config) => {
+    const byTitle = toMatcher(config.grep);
+    const bySpec = toMatcher(config.spec);
+    const targeted = Boolean(byTitle || bySpec);
+
+    return (test, specFile, existing) => {
+        if (byTitle && !byTitle(test.fullTitle || test.title)) return { selected: false };
+        if (bySpec && !bySpec(specFile)) return { selected: false };
+        if (!existing) return { selected: true, reanalyze: false };
+
+        // A selector without --only-fallback means "refresh these tests"
+        const selected = config.onlyFallback ? isWeakInsight(existing, config) : Boolean(config.force || targeted);
+        return { selected, reanalyze: selected };
+    };
+};
+
+/**
+ * Attaches the insight being replaced to the new one, newest first, capped at `limit`.
+ */
+const withHistory = (ai, previous, limit) => {
+    if (!previous || limit <= 0) return ai;
+    const { history = [], ...snapshot } = previous;
+    return {
+        ...ai,
+        history: [{ ...snapshot, replacedAt: new Date().toISOString() }, ...history].slice(0, limit)
+    };
+};
+
+module.exports = { createSelector, isWeakInsight, withHistory, toMatcher };
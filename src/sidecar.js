@@ -0,0 +1,67 @@
+/**
+ * TestAIgnite - Insights Sidecar
+ *
+ * Non-destructive output mode: AI insights are stored in a separate `insights.json`, keyed by
+ * test uuid (or full title when a report has no uuids), and merged into the report data at
+ * render time. The Mochawesome JSON files are never modified.
+ *
+ * Format: { version: 1, updatedAt, summary, insights: { "<key>": { fullTitle, spec, ai } } }
+ * where `summary` is the optional run-level executive summary.
+ */
+
+const { readJson, writeJsonAtomic } = require("./fsUtils");
+
+const SIDECAR_VERSION = 1;
+
+const sidecarKey = (test) => test.uuid || `title:${test.fullTitle || test.title}`;
+
+/**
+ * Calls `fn(test, suite)` for every test of a Mochawesome report, including nested suites.
+ */
+const forEachTest = (report, fn) => {
+    const walk = (suite) => {
+        (suite.tests || []).forEach((test) => fn(test, suite));
+        (suite.suites || []).forEach(walk);
+    };
+    (report.results || []).forEach(walk);
+};
+
+const loadSidecar = (file) => {
+    const data = readJson(file);
+    if (data && data.insights && typeof data.insights === "object") return data;
+    return { version: SIDECAR_VERSION, insights: {} };
+};
+
+const saveSidecar = (file, sidecar) => writeJsonAtomic(file, {
+    ...sidecar,
+    version: SIDECAR_VERSION,
+    updatedAt: new Date().toISOString()
+});
+
+/**
+ * Looks up the stored insight for a test: by uuid first, then by full title.
+ */
+const findInsight = (sidecar, test) => {
+    const byUuid = test.uuid && sidecar.insights[test.uuid];
+    if (byUuid) return byUuid.ai;
+    const byTitle = sidecar.insights[`title:${test.fullTitle || test.title}`];
+    return byTitle ? byTitle.ai : null;
+};
+
+/**
+ * Copies sidecar insights (and the executive summary) onto `report` (sidecar wins). Returns the number merged.
+ */
+const mergeSidecar = (report, sidecar) => {
+    if (sidecar.summary) report.aiSummary = sidecar.summary;
+    let merged = 0;
+    forEachTest(report, (test) => {
+        const ai = findInsight(sidecar, test);
+        if (ai) {
+            test.ai = ai;
+            merged++;
+        }
+    });
+    return merged;
+};
+
+module.exports = { sidecarKey, forEachTest, loadSidecar, saveSidecar, findInsight, mergeSidecar };
@@ -0,0 +1,205 @@
+/**
+ * TestAIgnite - Spec Source Context
+ *
+ * Resolves the failing spec file and line from the error stack, reads a window of the real
+ * source around it, and pulls in the definitions of any custom commands (`cypress/support`)
+ * used there, so the model sees the `cy.get(...)` that actually failed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { globSync } = require("glob");
+
+const SPEC_EXT = /\.(cy|spec|test)\.[jt]sx?$|\.[jt]sx?$/;
+// e.g. "at Context.eval (webpack://app/./cypress/e2e/login.cy.js:12:8)" or "file:///repo/cypress/e2e/login.cy.ts:5:3"
+const FRAME = /(?:webpack:\/\/[^/\s)]*\/|file:\/\/)?([^\s()]+?\.[cm]?[jt]sx?):(\d+):(\d+)/g;
+const MAX_LINE_LENGTH = 200;
+
+const normalizeSlashes = (p) => (p || "").replace(/\\/g, "/");
+
+/**
+ * Finds the first stack frame pointing into the spec (preferring one matching `specFile`).
+ * Bundled frames served by the Cypress runner (`__cypress/...`) are ignored: their lines do not map to source.
+ */
+const parseStackLocation = (stack, specFile) => {
+    const frames = [];
+    let match;
+    FRAME.lastIndex = 0;
+    while ((match = FRAME.exec(stack || "")) !== null) {
+        const file = normalizeSlashes(match[1]).replace(/^\.\//, "");
+        if (/__cypress|node_modules|cypress_runner/.test(file)) continue;
+        frames.push({ file, line: Number(match[2]), column: Number(match[3]) });
+    }
+
+    const specBase = specFile ? path.basename(normalizeSlashes(specFile)) : null;
+    return frames.find((f) => specBase && path.basename(f.file) === specBase)
+        || frames.find((f) => SPEC_EXT.test(f.file) && /\.(cy|spec|test)\./.test(f.file))
+        || null;
+};
+
+/**
+ * Resolves a stack/report path to an existing file under the project root.
+ */
+const resolveSpecPath = (candidates, projectRoot) => {
+    for (const candidate of candidates.filter(Boolean)) {
+        const normalized = normalizeSlashes(candidate).replace(/^\/?\.\//, "");
+        const options = path.isAbsolute(normalized)
+            ? [normalized, path.join(projectRoot, normalized)]
+            : [path.join(projectRoot, normalized)];
+        const found = options.find((p) => fs.existsSync(p) && fs.statSync(p).isFile());
+        if (found) return found;
+    }
+    return null;
+};
+
+/**
+ * Numbered excerpt of `lines` around `line` (1-based). The failing line is marked with ">".
+ */
+const excerptAround = (lines, line, radius) => {
+    const start = Math.max(1, line - radius);
+    const end = Math.min(lines.length, line + radius);
+    const width = String(end).length;
+    const out = [];
+    for (let n = start; n <= end; n++) {
+        const marker = n === line ? ">" : " ";
+        out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1].slice(0, MAX_LINE_LENGTH)}`);
+    }
+    return out.join("\n");
+};
+
+/**
+ * Locates the `it(...)` block for a test title when the stack has no usable line.
+ */
+const findTestLine = (lines, title) => {
+    if (!title) return null;
+    const escaped = title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const re = new RegExp(`\\b(it|specify|test)(\\.only|\\.skip)?\\s*\\(\\s*['"\`]${escaped}['"\`]`);
+    const idx = lines.findIndex((l) => re.test(l));
+    return idx === -1 ? null : idx + 1;
+};
+
+// --- CUSTOM COMMANDS ---
+
+/**
+ * Returns the text of a call starting at `start` (index of the opening paren), balancing parens outside strings.
+ */
+const sliceBalanced = (source, start) => {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) {
+            if (ch === "\\") i++;
+            else if (ch === quote) quote = null;
+            continue;
+        }
+        if (ch === "'" || ch === "\"" || ch === "`") quote = ch;
+        else if (ch === "(") depth++;
+        else if (ch === ")" && --depth === 0) return source.slice(0, i + 1);
+    }
+    return source;
+};
+
+/**
+ * Indexes `Cypress.Commands.add/overwrite` definitions under the support directory: name -> { file, code }.
+ */
+const loadCustomCommands = (projectRoot, supportDir, maxLines = 25) => {
+    const dir = path.resolve(projectRoot, supportDir);
+    const commands = new Map();
+    if (!fs.existsSync(dir)) return commands;
+
+    const files = globSync(`${normalizeSlashes(dir)}/**/*.{js,ts,jsx,tsx}`);
+    files.forEach((file) => {
+        let source;
+        try {
+            source = fs.readFileSync(file, "utf-8");
+        } catch (e) {
+            return;
+        }
+
+        const re = /Cypress\.Commands\.(?:add|overwrite)\(\s*['"`]([\w$]+)['"`]/g;
+        let match;
+        while ((match = re.exec(source)) !== null) {
+            const fromDefinition = source.slice(match.index);
+            const code = sliceBalanced(fromDefinition, fromDefinition.indexOf("("))
+                .split("\n")
+                .slice(0, maxLines)
+                .join("\n");
+            commands.set(match[1], { name: match[1], file: normalizeSlashes(path.relative(projectRoot, file)), code });
+        }
+    });
+    return commands;
+};
+
+// --- FAILING STATEMENT ---
+
+/**
+ * The source line the stack points at (trimmed), or its location ("login.cy.js:12") when the
+ * spec cannot be read. Null without a stack frame in the spec. `files` caches spec lines per run.
+ */
+const failingStatement = (stack, specFile, projectRoot, files = new Map()) => {
+    const location = parseStackLocation(stack, specFile);
+    if (!location) return null;
+
+    const file = resolveSpecPath([location.file, specFile], projectRoot);
+    if (file && path.basename(file) === path.basename(location.file)) {
+        if (!files.has(file)) {
+            try {
+                files.set(file, fs.readFileSync(file, "utf-8").split(/\r?\n/));
+            } catch (e) {
+                files.set(file, null);
+            }
+        }
+        const text = files.get(file)?.[location.line - 1]?.trim();
+        if (text) return text.slice(0, MAX_LINE_LENGTH);
+    }
+    return `${path.basename(location.file)}:${location.line}`;
+};
+
+// --- MAIN ---
+
+/**
+ * Builds `{ file, line, excerpt, commands }` for a failing test, or null when the spec cannot be read.
+ * `commandIndex` is the result of loadCustomCommands, shared across a run.
+ */
+const buildSourceContext = (test, specFile, config, commandIndex) => {
+    const projectRoot = config.projectRoot || process.cwd();
+    const stack = test.err?.estack || test.err?.stack || "";
+    const location = parseStackLocation(stack, specFile);
+
+    const file = resolveSpecPath([location?.file, specFile], projectRoot);
+    if (!file) return null;
+
+    let lines;
+    try {
+        lines = fs.readFileSync(file, "utf-8").split(/\r?\n/);
+    } catch (e) {
+        return null;
+    }
+
+    const stackLine = location && path.basename(location.file) === path.basename(file) ? location.line : null;
+    const line = stackLine && stackLine <= lines.length ? stackLine : findTestLine(lines, test.title);
+    if (!line) return null;
+
+    const excerpt = excerptAround(lines, line, config.sourceContextLines);
+
+    // Custom commands called inside the excerpt
+    const used = new Set();
+    const callRe = /\bcy\.([\w$]+)\s*\(/g;
+    let call;
+    while ((call = callRe.exec(excerpt)) !== null) used.add(call[1]);
+    const commands = Array.from(used)
+        .filter((name) => commandIndex?.has(name))
+        .slice(0, config.maxCustomCommands)
+        .map((name) => commandIndex.get(name));
+
+    return {
+        file: normalizeSlashes(path.relative(projectRoot, file)),
+        line,
+        fromStack: Boolean(stackLine),
+        excerpt,
+        commands
+    };
+};
+
+module.exports = { buildSourceContext, loadCustomCommands, parseStackLocation, failingStatement };
@@ -0,0 +1,134 @@
+/**
+ * TestAIgnite - Project Triage Rules
+ *
+ * Team policy that always wins over the model: a rules file (default `testaignite.rules.json`)
+ * lists rules matching on spec path, title tag, error message or AI tag. Matching rules can pin
+ * severity, owner and a known-issue link, or skip the AI call entirely.
+ *
+ * Rule: {
+ *   id,
+ *   match: { spec?, title?, tag?, error?, aiTag? },   // all given criteria must match
+ *   set: { severity?, owner?, knownIssue?, summary?, recommendation?, tags? },
+ *   skipAi?: boolean
+ * }
+ * `spec`, `title` and `error` are case-insensitive regular expressions; `tag` ([TAG] in the test
+ * title) and `aiTag` (insight tags) are a name or a list of names. `knownIssue` is a ticket URL,
+ * a ticket id or a known-issue object as produced by knownIssues.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { SEVERITIES } = require("./insightSchema");
+const { toMatcher } = require("./selection");
+
+const SETTABLE = ["severity", "owner", "knownIssue", "summary", "recommendation", "tags"];
+
+const toList = (value) => (value == null ? [] : [].concat(value).map((v) => String(v).toLowerCase()));
+
+const titleTags = (title) => Array.from((title || "").matchAll(/\[([^\]]+)\]/g), (m) => m[1].toLowerCase());
+
+/**
+ * Compiles one rule. Returns null (with a warning) when the rule cannot be applied.
+ */
+const compileRule = (rule, index) => {
+    const id = rule?.id || `rule-${index + 1}`;
+    const match = rule?.match || {};
+    if (!Object.keys(match).length) {
+        console.warn(`[WARN] Triage rule "${id}" has no match criteria; skipped.`);
+        return null;
+    }
+    if (rule.set?.severity && !SEVERITIES.includes(rule.set.severity)) {
+        console.warn(`[WARN] Triage rule "${id}" sets unknown severity "${rule.set.severity}"; skipped.`);
+        return null;
+    }
+
+    // A bare ticket URL or id is stored like a registry entry (see knownIssues.js)
+    const set = { ...rule.set };
+    if (typeof set.knownIssue === "string") {
+        set.knownIssue = /^https?:\/\//i.test(set.knownIssue)
+            ? { id: set.knownIssue.split("/").filter(Boolean).pop(), url: set.knownIssue }
+            : { id: set.knownIssue, url: null };
+    }
+
+    const bySpec = toMatcher(match.spec);
+    const byTitle = toMatcher(match.title);
+    const byError = toMatcher(match.error, "is");
+    const tags = toList(match.tag);
+    const aiTags = toList(match.aiTag);
+
+    return {
+        id,
+        skipAi: Boolean(rule.skipAi),
+        set: Object.fromEntries(Object.entries(set).filter(([field]) => SETTABLE.includes(field))),
+        needsInsight: aiTags.length > 0,
+        matches: ({ test, specFile, error }, ai) => {
+            if (bySpec && !bySpec(specFile)) return false;
+            if (byTitle && !byTitle(test.fullTitle || test.title)) return false;
+            if (byError && !byError(error)) return false;
+            if (tags.length && !titleTags(test.fullTitle || test.title).some((t) => tags.includes(t))) return false;
+            if (aiTags.length && !(ai?.tags || []).some((t) => aiTags.includes(String(t).toLowerCase()))) return false;
+            return true;
+        }
+    };
+};
+
+/**
+ * Loads `config.triageRules` (inline array) or the rules file (`triageRulesFile`).
+ * A missing file simply means no rules.
+ */
+const loadTriageRules = (config) => {
+    let rules = config.triageRules;
+    if (!rules && config.triageRulesFile) {
+        const file = path.resolve(process.cwd(), config.triageRulesFile);
+        if (!fs.existsSync(file)) return [];
+        try {
+            const loaded = file.endsWith(".js") ? require(file) : JSON.parse(fs.readFileSync(file, "utf-8"));
+            rules = Array.isArray(loaded) ? loaded : loaded?.rules;
+            console.log(`[INFO] Loaded ${(rules || []).length} triage rule(s) from ${path.basename(file)}`);
+        } catch (e) {
+            console.warn(`[WARN] Failed to load triage rules from ${file}: ${e.message}`);
+            return [];
+        }
+    }
+    return (Array.isArray(rules) ? rules : []).map(compileRule).filter(Boolean);
+};
+
+/**
+ * Before the model call: the first rule that matches without needing an insight and says `skipAi`.
+ * `subject` is { test, specFile, error }.
+ */
+const findSkipRule = (rules, subject) => rules.find((rule) => rule.skipAi && !rule.needsInsight && rule.matches(subject));
+
+/**
+ * After the model call (or fallback): applies every matching rule in file order, later rules
+ * overriding earlier ones, and records what fired and what was changed on `ai.triage`.
+ */
+const applyTriageRules = (rules, subject, ai) => {
+    const fired = rules.filter((rule) => rule.matches(subject, ai));
+    if (!fired.length) return ai;
+
+    const result = { ...ai };
+    const overrides = {};
+    fired.forEach((rule) => {
+        Object.entries(rule.set).forEach(([field, value]) => {
+            if (field === "tags") {
+                result.tags = Array.from(new Set([...(result.tags || []), ...[].concat(value)]));
+                return;
+            }
+            if (!(field in overrides) && ai[field] !== undefined && JSON.stringify(ai[field]) !== JSON.stringify(value)) {
+                overrides[field] = { from: ai[field] };
+            }
+            result[field] = value;
+            if (overrides[field]) overrides[field].to = value;
+        });
+    });
+
+    result.triage = {
+        rules: fired.map((rule) => rule.id),
+        skippedAi: Boolean(subject.skippedBy),
+        ...(Object.keys(overrides).length ? { overrides } : {})
+    };
+    return result;
+};
+
+module.exports = { loadTriageRules, findSkipRule, applyTriageRules };
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRunStats, resolveUsage, recordCall, estimateCall, checkBudget, reserveCall, releaseCall, buildRunSummary } = require("../src/accounting");
+
+const pricing = { m1: { inputPer1k: 1, outputPer1k: 2 } };
+const messages = [{ role: "user", content: "x".repeat(400) }]; // ~100 tokens
+
+test("resolveUsage keeps provider counts and estimates missing ones", () => {
+    assert.deepEqual(resolveUsage({ inputTokens: 10, outputTokens: 5 }, messages, "ok"), { inputTokens: 10, outputTokens: 5, estimated: false });
+    assert.deepEqual(resolveUsage(null, messages, "12345678"), { inputTokens: 100, outputTokens: 2, estimated: true });
+});
+
+test("recordCall totals tokens and cost per model", () => {
+    const stats = createRunStats();
+    assert.equal(recordCall(stats, { model: "m1", usage: { inputTokens: 1000, outputTokens: 500 }, latencyMs: 40, ok: true, pricing }), 2);
+    recordCall(stats, { model: "m1", latencyMs: 20, ok: false, pricing });
+    recordCall(stats, { model: "m2", usage: { inputTokens: 10, outputTokens: 10 }, latencyMs: 10, ok: true, pricing });
+
+    const summary = buildRunSummary(stats, { failures: 2 }, { provider: "test" });
+    assert.equal(summary.calls, 3);
+    assert.equal(summary.failedCalls, 1);
+    assert.equal(summary.estimatedCost, 2);
+    assert.deepEqual(summary.models.m1, { calls: 2, failedCalls: 1, inputTokens: 1000, outputTokens: 500, latencyMs: 60, estimatedCost: 2, avgLatencyMs: 30 });
+    assert.equal(summary.models.m2.estimatedCost, 0); // Unpriced
+    assert.equal(summary.failures, 2);
+    assert.equal(summary.reserved, undefined);
+});
+
+test("estimateCall assumes the full answer length", () => {
+    assert.deepEqual(estimateCall("m1", messages, 500, pricing), { calls: 1, tokens: 600, cost: 0.1 + 1 });
+});
+
+test("reserved calls count against the budget until released", () => {
+    const stats = createRunStats();
+    const config = { maxCallsPerRun: 0, maxTokensPerRun: 1500, maxCostPerRun: 0 };
+    const estimate = estimateCall("m1", messages, 500, pricing);
+
+    assert.equal(reserveCall(stats, config, estimate), null);
+    assert.equal(reserveCall(stats, config, estimate), null);
+    assert.equal(reserveCall(stats, config, estimate), "token limit of 1500 reached"); // Two calls in flight already
+    assert.deepEqual(stats.reserved, { calls: 2, tokens: 1200, cost: 2.2 });
+
+    releaseCall(stats, estimate);
+    recordCall(stats, { model: "m1", usage: { inputTokens: 100, outputTokens: 50 }, latencyMs: 5, ok: true, pricing });
+    assert.equal(reserveCall(stats, config, estimate), null); // 150 spent + 600 in flight + 600
+});
+
+test("checkBudget enforces the call and cost limits", () => {
+    const stats = createRunStats();
+    const next = estimateCall("m1", messages, 500, pricing);
+    assert.equal(checkBudget(stats, { maxCallsPerRun: 1 }, next), null);
+    stats.calls = 1;
+    assert.equal(checkBudget(stats, { maxCallsPerRun: 1 }, next), "call limit of 1 reached");
+    assert.equal(checkBudget(stats, { maxCostPerRun: 1 }, next), "cost limit of 1 reached");
+    assert.equal(checkBudget(stats, {}, next), null);
+});
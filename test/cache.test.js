@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createInsightCache, clearInsightCache } = require("../src/cache");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-cache-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Backdates an entry's file and, optionally, its recorded creation time
+const age = (dir, key, days, { content = true } = {}) => {
+    const file = path.join(dir, `${key}.json`);
+    const when = Date.now() - days * DAY_MS;
+    if (content) {
+        const entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+        fs.writeFileSync(file, JSON.stringify({ ...entry, createdAt: when }));
+    }
+    fs.utimesSync(file, when / 1000, when / 1000);
+};
+
+test("cached insights round-trip until they expire", (t) => {
+    const dir = tempDir(t);
+    const cache = createInsightCache({ dir, ttlDays: 7 });
+    cache.set("a", { summary: "cached" }, { model: "m1" });
+    assert.deepEqual(cache.get("a"), { summary: "cached" });
+    assert.equal(cache.get("missing"), null);
+
+    age(dir, "a", 8);
+    assert.equal(cache.get("a"), null);
+    assert.ok(!fs.existsSync(path.join(dir, "a.json")));
+});
+
+test("a ttl of 0 keeps entries forever", (t) => {
+    const dir = tempDir(t);
+    const cache = createInsightCache({ dir, ttlDays: 0 });
+    cache.set("a", { summary: "old" });
+    age(dir, "a", 400);
+    assert.deepEqual(cache.get("a"), { summary: "old" });
+    assert.equal(cache.prune(), 0);
+});
+
+test("corrupt entries are dropped as misses", (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, "a.json"), "{not json");
+    assert.equal(createInsightCache({ dir }).get("a"), null);
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("a disabled cache neither reads nor writes", (t) => {
+    const dir = tempDir(t);
+    createInsightCache({ dir }).set("a", { summary: "cached" });
+    const disabled = createInsightCache({ dir, enabled: false });
+    assert.equal(disabled.get("a"), null);
+    disabled.set("b", { summary: "ignored" });
+    assert.deepEqual(fs.readdirSync(dir), ["a.json"]);
+    assert.equal(disabled.prune(), 0);
+});
+
+test("prune drops expired entries, then the oldest beyond maxEntries", (t) => {
+    const dir = tempDir(t);
+    const cache = createInsightCache({ dir, ttlDays: 7, maxEntries: 2 });
+    ["expired", "oldest", "older", "newest"].forEach((key) => cache.set(key, { summary: key }));
+    age(dir, "expired", 10, { content: false });
+    age(dir, "oldest", 3, { content: false });
+    age(dir, "older", 2, { content: false });
+
+    assert.equal(cache.prune(), 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["newest.json", "older.json"]);
+});
+
+test("prune keeps the cache under maxSizeMb", (t) => {
+    const dir = tempDir(t);
+    const cache = createInsightCache({ dir, maxSizeMb: 0.001 }); // About 1 KB
+    cache.set("old", { summary: "x".repeat(600) });
+    age(dir, "old", 1, { content: false });
+    cache.set("new", { summary: "y".repeat(600) });
+
+    assert.equal(cache.prune(), 1);
+    assert.deepEqual(fs.readdirSync(dir), ["new.json"]);
+});
+
+test("clearInsightCache removes every entry and reports the count", (t) => {
+    const dir = tempDir(t);
+    const cache = createInsightCache({ dir });
+    cache.set("a", {});
+    cache.set("b", {});
+    fs.writeFileSync(path.join(dir, "notes.txt"), "kept");
+
+    assert.equal(clearInsightCache(dir), 2);
+    assert.deepEqual(fs.readdirSync(dir), ["notes.txt"]);
+    assert.equal(clearInsightCache(path.join(dir, "missing")), 0);
+});
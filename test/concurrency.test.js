@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runPool, createRateLimiter, sleep } = require("../src/concurrency");
+
+test("runPool visits every item with at most `concurrency` in flight", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const seen = [];
+    await runPool([10, 1, 5, 2, 8], 2, async (item, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await sleep(item);
+        seen.push(index);
+        inFlight--;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(seen.sort(), [0, 1, 2, 3, 4]);
+});
+
+test("runPool treats invalid concurrency as 1 and handles no items", async () => {
+    let peak = 0;
+    let inFlight = 0;
+    await runPool([1, 2, 3], "lots", async () => {
+        peak = Math.max(peak, ++inFlight);
+        await sleep(1);
+        inFlight--;
+    });
+    assert.equal(peak, 1);
+    await runPool([], 4, async () => assert.fail("no items to visit"));
+});
+
+test("the rate limiter lets a burst through, then spaces requests by the rate", async () => {
+    const limiter = createRateLimiter({ limitFor: () => 1200, burst: 2 }); // One token every 50ms
+    const started = Date.now();
+    await limiter.acquire("m1");
+    await limiter.acquire("m1");
+    assert.ok(Date.now() - started < 40);
+    await limiter.acquire("m1");
+    assert.ok(Date.now() - started >= 40);
+});
+
+test("the rate limiter keeps a bucket per key and skips unlimited keys", async () => {
+    const limiter = createRateLimiter({ limitFor: (model) => ({ slow: 60 })[model] ?? 0 });
+    await limiter.acquire("slow");
+    const started = Date.now();
+    await Promise.all([limiter.acquire("fast"), limiter.acquire("fast"), limiter.acquire("other")]);
+    assert.ok(Date.now() - started < 40);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { previewPrompts, estimateTokens } = require("../src/dryRun");
+
+const quiet = (t) => t.mock.method(console, "log", () => {});
+
+const entry = (title, prompt, extra = {}) => ({ title, reportPath: "/tmp/reports/login_results.json", clusterId: null, clusterSize: 1, prompt, ...extra });
+
+test("estimateTokens counts about four characters per token", () => {
+    assert.equal(estimateTokens("12345678"), 2);
+    assert.equal(estimateTokens("123456789"), 3);
+    assert.equal(estimateTokens(null), 0);
+});
+
+test("previewPrompts totals ensemble prompts per model and adds the summary call", (t) => {
+    quiet(t);
+    const result = previewPrompts([
+        entry("Login submits the form", "x".repeat(400)),
+        entry("Login loads the profile", "y".repeat(200), { calls: 3, clusterId: "C-1a2b3c4d", clusterSize: 2 })
+    ], { summaryPrompt: "z".repeat(80) });
+
+    assert.deepEqual(result.prompts.map((p) => [p.estimatedTokens, p.calls]), [[100, 1], [50, 3]]);
+    assert.deepEqual(result.summary, { estimatedTokens: 20 });
+    assert.equal(result.totalTokens, 100 + 50 * 3 + 20);
+    assert.equal(result.totalCalls, 5);
+});
+
+test("previewPrompts writes numbered prompt files and an index", (t) => {
+    quiet(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-dry-run-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    previewPrompts([entry("Login: submits the form!", "prompt text")], { outDir: dir, summaryPrompt: "summary text" });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["001-login-submits-the-form.txt", "executive-summary.txt", "index.json"]);
+    assert.equal(fs.readFileSync(path.join(dir, "001-login-submits-the-form.txt"), "utf-8"), "prompt text");
+
+    const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf-8"));
+    assert.equal(index.totalCalls, 2);
+    assert.equal(index.prompts[0].file, "001-login-submits-the-form.txt");
+    assert.equal(index.summary.file, "executive-summary.txt");
+});
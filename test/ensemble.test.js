@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeInsights, verdictOf } = require("../src/ensemble");
+
+const answer = (modelUsed, severity, confidence, overrides = {}) => ({
+    summary: `${modelUsed} summary`,
+    recommendation: "Fix the Product: the API returns 500.",
+    severity,
+    confidence,
+    tags: ["network"],
+    modelUsed,
+    quality: { status: "valid", repairAttempts: 0, defaulted: [], truncated: [], issues: [] },
+    provenance: { provider: "p", model: modelUsed, promptId: "builtin@1", attempt: 1, calls: 1, latencyMs: 100, inputTokens: 400, outputTokens: 80, tokensEstimated: false, timestamp: "2026-01-01T00:00:00.000Z" },
+    ...overrides
+});
+
+test("verdictOf reads the Fix the Product / Fix the Test wording", () => {
+    assert.equal(verdictOf({ recommendation: "Fix the Product: ..." }), "product");
+    assert.equal(verdictOf({ recommendation: "Fix the test selector." }), "test");
+    assert.equal(verdictOf({ recommendation: "Fix the test, then fix the product." }), null);
+    assert.equal(verdictOf({}), null);
+});
+
+test("mergeInsights takes the majority severity and the most confident backing answer", () => {
+    const merged = mergeInsights([answer("m1", "high", 0.6), answer("m2", "high", 0.9), answer("m3", "low", 0.3)]);
+    assert.equal(merged.severity, "high");
+    assert.equal(merged.summary, "m2 summary");
+    assert.equal(merged.ensemble.leadModel, "m2");
+    assert.equal(merged.ensemble.agreement, 0.67);
+    assert.equal(merged.ensemble.disagreement, false);
+    assert.equal(merged.confidence, 0.6);
+});
+
+test("mergeInsights breaks ties toward the more severe option and penalizes disagreement", () => {
+    const merged = mergeInsights([
+        answer("m1", "low", 0.8, { recommendation: "Fix the Test: wait for the request." }),
+        answer("m2", "critical", 0.6)
+    ]);
+    assert.equal(merged.severity, "critical");
+    assert.equal(merged.ensemble.disagreement, true);
+    assert.equal(merged.ensemble.reasons.length, 2);
+    assert.equal(merged.confidence, 0.35);
+    assert.equal(merged.tags[0], "models-disagree");
+});
+
+test("mergeInsights sums usage over every model and keeps each model's provenance", () => {
+    const repaired = answer("m2", "high", 0.7, {
+        quality: { status: "repaired", repairAttempts: 1, defaulted: [], truncated: [], issues: [] },
+        provenance: { ...answer("m2", "high", 0.7).provenance, calls: 2, latencyMs: 250, inputTokens: 900, outputTokens: 160, tokensEstimated: true }
+    });
+    const merged = mergeInsights([answer("m1", "high", 0.9), repaired]);
+
+    assert.deepEqual(merged.provenance, {
+        provider: "p",
+        model: "m1 + m2",
+        promptId: "builtin@1",
+        attempt: 1,
+        calls: 3,
+        latencyMs: 350,
+        inputTokens: 1300,
+        outputTokens: 240,
+        tokensEstimated: true,
+        timestamp: "2026-01-01T00:00:00.000Z"
+    });
+    assert.equal(merged.quality.status, "repaired");
+    assert.equal(merged.quality.repairAttempts, 1);
+    assert.deepEqual(merged.ensemble.models.map((m) => [m.model, m.quality, m.provenance.calls]), [["m1", "valid", 1], ["m2", "repaired", 2]]);
+});
+
+test("mergeInsights caps the merged tags at the schema limit, counting models-disagree", () => {
+    const merged = mergeInsights([
+        answer("m1", "low", 0.8, { tags: ["network", "api", "timing", "flaky"] }),
+        answer("m2", "critical", 0.6, { tags: ["network", "server-error", "auth", "product"] })
+    ]);
+    assert.deepEqual(merged.tags, ["models-disagree", "network", "api", "timing", "flaky"]);
+    assert.equal(mergeInsights([answer("m1", "high", 0.8, { tags: ["a", "b", "c"] }), answer("m2", "high", 0.8, { tags: ["d", "e", "f"] })]).tags.length, 5);
+});
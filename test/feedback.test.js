@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFeedbackStore, mergeFeedback, createExampleSelector, toPromptExample } = require("../src/feedback");
+
+const entry = (overrides = {}) => ({
+    fullTitle: "Checkout pays",
+    spec: "cypress/e2e/checkout.cy.js",
+    error: "AssertionError: expected total 40 to equal 42",
+    fingerprint: "a1b2c3d4e5f60718",
+    verdict: "corrected",
+    original: { summary: "Total is wrong", severity: "high" },
+    correction: { category: "test", severity: "low", rootCause: "Fixture prices changed", recommendation: "Update the fixture" },
+    createdAt: "2026-01-01T00:00:00.000Z",
+    ...overrides
+});
+
+const setup = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-feedback-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const exportFile = (entries) => {
+        const file = path.join(dir, `export-${Math.random().toString(16).slice(2)}.json`);
+        fs.writeFileSync(file, JSON.stringify({ entries }));
+        return file;
+    };
+    return { storePath: path.join(dir, ".testaignite", "feedback.json"), exportFile };
+};
+
+test("mergeFeedback adds new verdicts and skips unusable entries", (t) => {
+    const { storePath, exportFile } = setup(t);
+    const result = mergeFeedback(exportFile([
+        entry(),
+        entry({ fullTitle: "Cart empties", verdict: "accepted", correction: null }),
+        entry({ verdict: "maybe" }),
+        entry({ fullTitle: "Other", correction: { category: "backend" } }),
+        entry({ fullTitle: "Other", correction: { category: "test", severity: "urgent" } })
+    ]), storePath);
+
+    assert.deepEqual(result, { added: 2, updated: 0, skipped: 3, total: 2 });
+    const store = loadFeedbackStore(storePath);
+    assert.equal(store.examples.length, 2);
+    assert.equal(store.examples.find((e) => e.verdict === "accepted").correction, null);
+});
+
+test("mergeFeedback keeps the newest verdict for the same failure", (t) => {
+    const { storePath, exportFile } = setup(t);
+    mergeFeedback(exportFile([entry()]), storePath);
+
+    assert.deepEqual(mergeFeedback(exportFile([entry()]), storePath), { added: 0, updated: 0, skipped: 1, total: 1 });
+    const newer = entry({ correction: { category: "product", rootCause: "Tax rounding bug" }, createdAt: "2026-02-01T00:00:00.000Z" });
+    assert.deepEqual(mergeFeedback(exportFile([newer]), storePath), { added: 0, updated: 1, skipped: 0, total: 1 });
+    assert.deepEqual(mergeFeedback(exportFile([entry({ createdAt: "2025-12-01T00:00:00.000Z" })]), storePath).updated, 0);
+    assert.equal(loadFeedbackStore(storePath).examples[0].correction.category, "product");
+});
+
+test("mergeFeedback rejects files that are not feedback exports", (t) => {
+    const { storePath } = setup(t);
+    const file = path.join(path.dirname(path.dirname(storePath)), "report.json");
+    fs.writeFileSync(file, JSON.stringify({ results: [] }));
+    assert.throws(() => mergeFeedback(file, storePath), /not a TestAIgnite feedback export/);
+    assert.deepEqual(loadFeedbackStore(storePath), { version: 1, examples: [] });
+});
+
+test("the example selector prefers the same fingerprint, then overlapping error words", () => {
+    const store = {
+        examples: [
+            { id: "same-failure", ...entry({ error: "something unrelated entirely", fingerprint: "f00dfeed" }) },
+            { id: "similar-words", ...entry({ error: "AssertionError: expected subtotal 40 to equal 45" }) }, // 3 of 5 words shared
+            { id: "accepted", ...entry({ verdict: "accepted", correction: null }) },
+            { id: "unrelated", ...entry({ error: "cy.visit() failed trying to load http://localhost:3000" }) }
+        ]
+    };
+    const examplesFor = createExampleSelector(store, { limit: 3 });
+    const failure = { error: "AssertionError: expected total 40 to equal 42", fingerprint: "f00dfeed1234abcd" };
+
+    assert.deepEqual(examplesFor(failure).map((e) => e.id), ["same-failure", "similar-words"]);
+    assert.deepEqual(createExampleSelector(store, { limit: 1 })(failure).map((e) => e.id), ["same-failure"]);
+    assert.deepEqual(createExampleSelector(store, { limit: 0 })(failure), []);
+    assert.deepEqual(examplesFor({ error: "TypeError: x is not a function" }), []);
+});
+
+test("toPromptExample trims the error and redacts the free text", () => {
+    const example = { id: "e1", ...entry({ error: "line one\n\n  line two  \nline three\nline four\nline five" }) };
+    const view = toPromptExample(example, (s) => s.replace("Fixture", "[REDACTED]"));
+    assert.equal(view.error, "line one line two line three line four");
+    assert.equal(view.rootCause, "[REDACTED] prices changed");
+    assert.equal(view.severity, "low");
+    assert.equal(view.aiSeverity, "high");
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeError, hashParts, failureFingerprint, errorTokens, clusterFailures } = require("../src/fingerprint");
+
+test("normalizeError strips colors, timestamps, uuids and hashes", () => {
+    const message = "\u001b[31mOrder 3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b\u001b[0m failed at 2024-05-01T10:20:30.123Z  (build a1b2c3d4e5f6a7b8c9)";
+    assert.equal(normalizeError(message), "Order <uuid> failed at <ts> (build <hash>)");
+    assert.equal(normalizeError(undefined), "");
+});
+
+test("hashParts is stable and separates parts", () => {
+    assert.equal(hashParts("a", "b"), hashParts("a", "b"));
+    assert.notEqual(hashParts("ab", ""), hashParts("a", "b"));
+    assert.equal(hashParts(null, 1), hashParts("", "1"));
+});
+
+test("failureFingerprint collapses ids, numbers and generated class names", () => {
+    assert.equal(
+        failureFingerprint("GET /users/4821 responded with 500"),
+        failureFingerprint("GET /users/9932 responded with 503")
+    );
+    assert.equal(
+        failureFingerprint("Expected to find element: #row-12, but never found it."),
+        failureFingerprint("Expected to find element: #row-57, but never found it.")
+    );
+    assert.equal(
+        failureFingerprint("Expected .css-1x2y3z to be visible"),
+        failureFingerprint("Expected .css-9q8w7e to be visible")
+    );
+    assert.notEqual(
+        failureFingerprint("Expected to find element: #submit, but never found it."),
+        failureFingerprint("Expected to find element: #cancel, but never found it.")
+    );
+    assert.equal(failureFingerprint(""), null);
+});
+
+test("failureFingerprint separates generic assertions by spec and failing statement", () => {
+    const message = "AssertionError: expected false to be true";
+    const at = (spec, command) => failureFingerprint(message, { spec, command });
+    assert.notEqual(at("cypress/e2e/login.cy.js", "expect(isValid).to.be.true;"), at("cypress/e2e/cart.cy.js", "expect(isValid).to.be.true;"));
+    assert.notEqual(at("cypress/e2e/login.cy.js", "expect(isValid).to.be.true;"), at("cypress/e2e/login.cy.js", "expect(hasToken).to.be.true;"));
+    assert.equal(at("./cypress/e2e/login.cy.js", "cy.get('#row-12').should('be.visible')"), at("cypress/e2e/login.cy.js", "cy.get('#row-57').should('be.visible')"));
+    assert.notEqual(at("cypress/e2e/login.cy.js", null), failureFingerprint(message));
+    assert.equal(failureFingerprint("", { spec: "login.cy.js" }), null);
+});
+
+test("errorTokens keeps meaningful lower-case words", () => {
+    assert.deepEqual(errorTokens("Timed out after 4000ms: cy.get() never found #submit"), ["timed", "out", "after", "cy.get", "never", "found", "submit"]);
+});
+
+test("clusterFailures groups by fingerprint in first-seen order", () => {
+    const items = [
+        { id: 1, message: "GET /users/1 responded with 500" },
+        { id: 2, message: "Expected to find element: #login, but never found it." },
+        { id: 3, message: "GET /users/2 responded with 500" },
+        { id: 4, message: null },
+        { id: 5, message: null }
+    ];
+    const clusters = clusterFailures(items, (item) => item.message);
+
+    assert.deepEqual(clusters.map((c) => c.members.map((m) => m.id)), [[1, 3], [2], [4], [5]]);
+    assert.match(clusters[0].id, /^C-[0-9a-f]{8}$/);
+    assert.equal(clusters[0].id, `C-${clusters[0].fingerprint.slice(0, 8)}`);
+    assert.equal(clusters[2].id, null);
+});
+
+test("clusterFailures keys on the context as well, with ids derived from the fingerprint", () => {
+    const items = [
+        { id: 1, spec: "login.cy.js", command: "expect(a).to.be.true;" },
+        { id: 2, spec: "cart.cy.js", command: "expect(a).to.be.true;" },
+        { id: 3, spec: "login.cy.js", command: "expect(a).to.be.true;" }
+    ];
+    const message = "expected false to be true";
+    const clusters = clusterFailures(items, () => message, ({ spec, command }) => ({ spec, command }));
+
+    assert.deepEqual(clusters.map((c) => c.members.map((m) => m.id)), [[1, 3], [2]]);
+    assert.equal(clusters[0].fingerprint, failureFingerprint(message, { spec: "login.cy.js", command: "expect(a).to.be.true;" }));
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFlaky } = require("../src/flaky");
+
+const passed = (extra) => ({ title: "loads", state: "passed", pass: true, ...extra });
+
+test("detectFlaky reads failed attempts with their last error", () => {
+    const flaky = detectFlaky(passed({
+        attempts: [
+            { state: "failed", error: { message: "first", stack: "at a" } },
+            { state: "failed", err: { message: "second", estack: "at b" } },
+            { state: "passed" }
+        ]
+    }));
+    assert.deepEqual(flaky, { attempts: 3, failedAttempts: 2, error: "second", stack: "at b" });
+});
+
+test("detectFlaky falls back to the retry counter and failed-attempt screenshots", () => {
+    assert.deepEqual(detectFlaky(passed({ currentRetry: 1 })), { attempts: 2, failedAttempts: 1, error: null, stack: null });
+    const context = JSON.stringify([{ title: "cypress-screenshot", value: "/shots/Home -- loads (failed).png" }, "/shots/Home -- loads (failed) (attempt 2).png"]);
+    assert.equal(detectFlaky(passed({ context })).failedAttempts, 2);
+});
+
+test("detectFlaky ignores failed tests and clean passes", () => {
+    assert.equal(detectFlaky({ state: "failed", fail: true, currentRetry: 2 }), null);
+    assert.equal(detectFlaky(passed({ attempts: [{ state: "passed" }], currentRetry: 0 })), null);
+});
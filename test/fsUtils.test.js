@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("../src/fsUtils");
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-fs-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test("writeJsonAtomic creates folders and leaves no temp file behind", (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, "nested", "report.json");
+    writeJsonAtomic(file, { ok: true });
+    writeJsonAtomic(file, { ok: false });
+    assert.deepEqual(readJson(file), { ok: false });
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ["report.json"]);
+});
+
+test("a failed write keeps the previous file and cleans up", (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, "report.json");
+    writeJsonAtomic(file, { version: 1 });
+    const circular = {};
+    circular.self = circular;
+
+    assert.throws(() => writeJsonAtomic(file, circular), TypeError);
+    assert.deepEqual(readJson(file), { version: 1 });
+    assert.deepEqual(fs.readdirSync(dir), ["report.json"]);
+});
+
+test("readJson returns null for missing or invalid files", (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, "bad.json"), "{");
+    assert.equal(readJson(path.join(dir, "bad.json")), null);
+    assert.equal(readJson(path.join(dir, "missing.json")), null);
+});
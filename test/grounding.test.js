@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyGrounding, checkGrounding, buildEvidence } = require("../src/grounding");
+
+const failure = {
+    title: "saves the profile",
+    fullTitle: "Profile saves the profile",
+    code: "cy.get('[data-cy=save]').click();",
+    err: { message: "CypressError: `cy.request()` failed on https://api.example.com/users/42 with status 500" }
+};
+
+test("claims found in the failure are grounded", () => {
+    const insight = { summary: "POST to https://api.example.com/users/42 returned status 500", recommendation: "Check the `[data-cy=save]` handler." };
+    assert.deepEqual(checkGrounding(insight, buildEvidence(failure)), { checked: 3, ungrounded: [] });
+});
+
+test("invented selectors, URLs and status codes are ungrounded", () => {
+    const insight = { summary: "The `#submit-btn` button failed", recommendation: "GET /api/orders returned status 404." };
+    const { ungrounded } = checkGrounding(insight, buildEvidence(failure));
+    assert.deepEqual(ungrounded.map((u) => `${u.type}:${u.value}`), ["selector:#submit-btn", "url:/api/orders", "status:404"]);
+});
+
+test("evidence includes the past failures and corrected verdicts shown to the model", () => {
+    const insight = { recommendation: "As last week, add [data-cy=order-total] and stub /api/orders, which returned status 503 before." };
+    const extras = {
+        history: [{ fullTitle: "Cart shows the total", error: "Expected to find element: [data-cy=order-total]", summary: "Missing data-cy", recommendation: "Add data-cy attributes." }],
+        examples: [{ error: "GET /api/orders failed", aiSummary: "Orders API down", rootCause: "The API returned status 503", recommendation: "" }]
+    };
+    assert.equal(checkGrounding(insight, buildEvidence(failure)).ungrounded.length, 3);
+    assert.deepEqual(checkGrounding(insight, buildEvidence(failure, extras)).ungrounded, []);
+});
+
+test("applyGrounding lowers confidence per ungrounded claim, down to the floor", () => {
+    const insight = applyGrounding({ summary: "The `#ghost` element and `#phantom` element are missing", confidence: 0.5 }, buildEvidence(failure), { penalty: 0.15, minConfidence: 0.3 });
+    assert.equal(insight.confidence, 0.3);
+    assert.deepEqual(insight.grounding, {
+        checked: 2,
+        grounded: 0,
+        ungrounded: [{ field: "summary", type: "selector", value: "#ghost" }, { field: "summary", type: "selector", value: "#phantom" }],
+        originalConfidence: 0.5
+    });
+
+    const plain = applyGrounding({ summary: "The save request failed", confidence: 0.9 }, buildEvidence(failure));
+    assert.equal(plain.grounding, undefined);
+    assert.equal(plain.confidence, 0.9);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadHistory, recordHistory, createHistoryIndex, toSeenBefore, toPromptHistory } = require("../src/historyIndex");
+
+const selector = {
+    fullTitle: "Login submits the form",
+    spec: "login.cy.js",
+    error: "Expected to find element: [data-cy=submit], but never found it.",
+    code: "cy.get('[data-cy=submit]').click()",
+    insight: { summary: "Submit selector changed", severity: "low", recommendation: "Use data-cy attributes.", modelUsed: "m1", confidence: 0.9 }
+};
+const sameOtherTest = { ...selector, fullTitle: "Signup submits the form", spec: "signup.cy.js" };
+const network = {
+    fullTitle: "Profile loads",
+    spec: "profile.cy.js",
+    error: "cy.request() failed: 500 Internal Server Error",
+    code: "cy.request('/api/profile')",
+    insight: { summary: "Profile API crashed", severity: "high", modelUsed: "m1" }
+};
+
+const historyFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-history-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, "history.json");
+};
+
+test("recordHistory counts repeats and skips placeholders", (t) => {
+    const file = historyFile(t);
+    recordHistory(file, [selector, { ...network, insight: { summary: "AI analysis unavailable." } }]);
+    recordHistory(file, [selector]);
+
+    const { entries } = loadHistory(file);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].occurrences, 2);
+    assert.deepEqual(Object.keys(entries[0].insight), ["summary", "recommendation", "severity", "modelUsed"]);
+});
+
+test("search ranks similar failures and can exclude the failure's own entry", (t) => {
+    const file = historyFile(t);
+    recordHistory(file, [selector, sameOtherTest, network]);
+    const index = createHistoryIndex(loadHistory(file));
+
+    const all = index.search(selector, 3, 0.35);
+    assert.deepEqual(all.map((m) => m.entry.fullTitle).sort(), ["Login submits the form", "Signup submits the form"]);
+
+    const others = index.search(selector, 3, 0.35, { excludeSelf: true });
+    assert.deepEqual(others.map((m) => m.entry.fullTitle), ["Signup submits the form"]);
+});
+
+test("prompt history leaves out dates, counts and scores", (t) => {
+    const file = historyFile(t);
+    recordHistory(file, [selector]);
+    const [match] = createHistoryIndex(loadHistory(file)).search(sameOtherTest, 1);
+
+    assert.ok(toSeenBefore(match).lastSeen);
+    assert.deepEqual(toPromptHistory(match), {
+        fullTitle: "Login submits the form",
+        spec: "login.cy.js",
+        error: selector.error,
+        summary: "Submit selector changed",
+        severity: "low",
+        recommendation: "Use data-cy attributes."
+    });
+});
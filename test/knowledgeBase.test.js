@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getRulesInsight, matchRule, KNOWLEDGE_BASE_VERSION, RULES } = require("../src/knowledgeBase");
+
+// [Cypress error message, rule id, severity, tags]
+const CASES = [
+    [
+        "The following error originated from your application code, not from Cypress.\n\n  > Cannot read properties of undefined (reading 'id')",
+        "uncaught-app-exception", "high", ["app-exception", "product"]
+    ],
+    [
+        "CypressError: The command was expected to run against origin `http://localhost:3000` but the application is at origin `https://sso.example.com`. This commonly happens when you have either not navigated to the expected origin or have navigated away unexpectedly. Using `cy.origin()` to wrap the commands run on `https://sso.example.com` will likely fix this issue.",
+        "cross-origin", "medium", ["cross-origin", "test-config"]
+    ],
+    [
+        "CypressError: Timed out retrying after 4000ms: `cy.click()` failed because the page updated while this command was executing. Cypress tried to locate elements based on this query:\n\n> cy.get(.row)\n\nWe initially found matching element(s), but while waiting for them to become actionable, they disappeared from the page. The element is detached from the DOM.",
+        "detached-dom", "medium", ["detached-dom", "flaky", "timing"]
+    ],
+    [
+        "CypressError: Timed out retrying after 4050ms: `cy.click()` failed because this element:\n\n`<button id=\"pay\">Pay</button>`\n\nis being covered by another element:\n\n`<div class=\"spinner\"></div>`",
+        "element-not-actionable", "medium", ["actionability", "ui"]
+    ],
+    [
+        "CypressError: Timed out retrying after 5000ms: `cy.wait()` timed out waiting `5000ms` for the 1st request to the route: `getCart`. No request ever occurred.",
+        "route-wait-timeout", "medium", ["network", "timing"]
+    ],
+    [
+        "CypressError: `cy.request()` failed on:\n\nhttps://api.example.com/orders\n\nThe response we received from your web server was:\n\n  > 503: Service Unavailable",
+        "request-failed", "critical", ["network", "api", "server-error"]
+    ],
+    [
+        "CypressError: `cy.request()` failed on:\n\nhttps://api.example.com/me\n\nThe response we received from your web server was:\n\n  > 401: Unauthorized",
+        "request-failed", "medium", ["network", "api", "auth"]
+    ],
+    [
+        "CypressError: `cy.visit()` failed trying to load:\n\nhttp://localhost:3000/\n\nWe attempted to make an http request to this URL but the request failed without a response.",
+        "visit-failed", "high", ["environment", "navigation"]
+    ],
+    [
+        "AssertionError: Timed out retrying after 4000ms: Expected to find element: `[data-cy=submit]`, but never found it.",
+        "element-not-found", "medium", ["selector", "timing"]
+    ],
+    [
+        "AssertionError: Timed out retrying after 4000ms: expected '<h1>' to contain 'Welcome back'",
+        "assertion-include", "medium", ["assertion", "content"]
+    ],
+    [
+        "AssertionError: expected 3 to equal 4",
+        "assertion-mismatch", "medium", ["assertion"]
+    ],
+    [
+        "CypressError: Timed out retrying after 10000ms: `cy.its()` errored because the property: `store` does not exist on your subject.",
+        "command-timeout", "medium", ["timing"]
+    ]
+];
+
+CASES.forEach(([message, ruleId, severity, tags]) => {
+    test(`a ${ruleId} error gets the ${ruleId} rule (${severity})`, () => {
+        const insight = getRulesInsight(message);
+        assert.deepEqual(
+            { rule: insight.rule, severity: insight.severity, tags: insight.tags },
+            { rule: { id: ruleId, version: KNOWLEDGE_BASE_VERSION }, severity, tags }
+        );
+        assert.equal(insight.modelUsed, "rules");
+    });
+});
+
+test("every rule is covered by a case", () => {
+    assert.deepEqual(new Set(CASES.map(([, id]) => id)), new Set(RULES.map((rule) => rule.id)));
+});
+
+test("messages matching no rule get no insight", () => {
+    assert.equal(matchRule("TypeError: Cannot convert a Symbol value to a string"), null);
+    assert.equal(getRulesInsight("TypeError: Cannot convert a Symbol value to a string"), null);
+    assert.equal(getRulesInsight(""), null);
+});
+
+test("captured values fill the insight texts", () => {
+    const insight = getRulesInsight(CASES.find(([, id]) => id === "element-not-found")[0]);
+    assert.ok(Object.values(insight).some((value) => typeof value === "string" && value.includes("`[data-cy=submit]`")));
+    assert.ok(Object.values(insight).every((value) => typeof value !== "string" || !value.includes("{{")));
+});
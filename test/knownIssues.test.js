@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadKnownIssues, isExpired } = require("../src/knownIssues");
+const { failureFingerprint } = require("../src/fingerprint");
+
+const quiet = (t) => ["log", "warn"].forEach((level) => t.mock.method(console, level, () => {}));
+
+const error = "CypressError: `cy.request()` failed on https://api.example.com/orders with 503";
+const spec = "cypress/e2e/orders.cy.js";
+const fingerprint = failureFingerprint(error, { spec, command: "cy.request('/orders');" });
+const subject = (overrides = {}) => ({
+    test: { title: "lists orders", fullTitle: "Orders lists orders" },
+    specFile: spec,
+    error,
+    fingerprint,
+    ...overrides
+});
+
+test("known issues match by fingerprint prefix", (t) => {
+    quiet(t);
+    const match = loadKnownIssues({ knownIssues: [{ id: "OPS-1", url: "https://tracker/OPS-1", fingerprint: fingerprint.slice(0, 16) }] });
+    assert.deepEqual(match(subject()), { id: "OPS-1", url: "https://tracker/OPS-1", status: null, expires: null, expired: false });
+    assert.equal(match(subject({ fingerprint: failureFingerprint(error, { spec: "cypress/e2e/cart.cy.js" }) })), null);
+});
+
+test("known issues match by cluster id", (t) => {
+    quiet(t);
+    const match = loadKnownIssues({ knownIssues: [{ id: "OPS-2", fingerprint: `C-${fingerprint.slice(0, 8)}` }] });
+    assert.equal(match(subject()).id, "OPS-2");
+});
+
+test("known issues match by pattern, narrowed by spec and title", (t) => {
+    quiet(t);
+    const match = loadKnownIssues({ knownIssues: [{ id: "OPS-3", pattern: "cy\\.request\\(\\).*503", spec: "orders", title: "lists" }] });
+    assert.equal(match(subject()).id, "OPS-3");
+    assert.equal(match(subject({ specFile: "cypress/e2e/cart.cy.js" })), null);
+    assert.equal(match(subject({ test: { title: "cancels", fullTitle: "Orders cancels" } })), null);
+    assert.equal(match(subject({ error: "cy.request() failed with 404" })), null);
+});
+
+test("expired issues still match, with one warning per issue", (t) => {
+    quiet(t);
+    const match = loadKnownIssues({ knownIssues: [{ id: "OPS-4", pattern: "503", expires: "2020-01-31" }] });
+    assert.equal(match(subject()).expired, true);
+    match(subject());
+    assert.equal(console.warn.mock.callCount(), 1);
+    assert.ok(isExpired("2020-01-31"));
+    assert.ok(!isExpired("2999-01-01"));
+    assert.ok(!isExpired(null));
+});
+
+test("entries without a pattern or a long enough fingerprint are skipped", (t) => {
+    quiet(t);
+    const match = loadKnownIssues({ knownIssues: [{ id: "OPS-5", fingerprint: "C-1a2b" }] });
+    assert.equal(match(subject({ fingerprint: "1a2b3c4d" })), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /OPS-5/);
+});
+
+test("the registry file is read as an array or { issues }", (t) => {
+    quiet(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-known-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "testaignite.known-issues.json");
+
+    fs.writeFileSync(file, JSON.stringify({ issues: [{ id: "OPS-6", pattern: "503" }] }));
+    assert.equal(loadKnownIssues({ knownIssuesFile: file })(subject()).id, "OPS-6");
+    fs.writeFileSync(file, "[{");
+    assert.equal(loadKnownIssues({ knownIssuesFile: file })(subject()), null);
+});
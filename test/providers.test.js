@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createProvider } = require("../src/providers");
+
+const quiet = (t) => ["log", "error"].forEach((level) => t.mock.method(console, level, () => {}));
+
+// Local HTTP server answering every request with `respond(path, body)`
+const serve = async (t, respond) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => {
+            requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            const { status = 200, headers = {}, json } = respond(req.url, JSON.parse(body));
+            res.writeHead(status, { "Content-Type": "application/json", ...headers });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+};
+
+const messages = [{ role: "user", content: "Why did this test fail?" }];
+
+test("custom providers can be objects or factories", () => {
+    const chatCompletion = async () => ({ content: "{}", usage: {} });
+    const fromObject = createProvider({ provider: { chatCompletion }, models: ["m1"] });
+    assert.equal(fromObject.name, "custom");
+    assert.deepEqual(fromObject.models, ["m1"]);
+
+    const fromFactory = createProvider({
+        provider: (settings) => ({ name: "mine", models: [...settings.models, "extra"], chatCompletion }),
+        models: ["m1"]
+    });
+    assert.equal(fromFactory.name, "mine");
+    assert.deepEqual(fromFactory.models, ["m1", "extra"]);
+
+    assert.throws(() => createProvider({ provider: {} }), /chatCompletion/);
+});
+
+test("huggingface without an API key yields no provider", (t) => {
+    quiet(t);
+    ["HUGGINGFACE_API_TOKEN", "HF_API_KEY", "HUGGINGFACEHUB_API_TOKEN"].forEach((name) => {
+        const saved = process.env[name];
+        delete process.env[name];
+        t.after(() => { if (saved !== undefined) process.env[name] = saved; });
+    });
+    assert.equal(createProvider({ provider: "hf", models: ["m1"] }), null);
+});
+
+test("openai-compatible posts chat completions and normalizes usage", async (t) => {
+    quiet(t);
+    const { baseUrl, requests } = await serve(t, () => ({
+        json: { choices: [{ message: { content: "{\"summary\":\"ok\"}" } }], usage: { prompt_tokens: 12, completion_tokens: 4 } }
+    }));
+    const provider = createProvider({ provider: "openai", providers: { "openai-compatible": { baseUrl: `${baseUrl}/v1/`, apiKey: "sk-test" } }, models: ["m1"] });
+
+    const result = await provider.chatCompletion({ model: "m1", messages, max_tokens: 100 });
+    assert.deepEqual(result, { content: "{\"summary\":\"ok\"}", usage: { inputTokens: 12, outputTokens: 4 } });
+    assert.equal(requests[0].path, "/v1/chat/completions");
+    assert.equal(requests[0].headers.authorization, "Bearer sk-test");
+    assert.equal(requests[0].body.model, "m1");
+});
+
+test("ollama maps sampling options and token counts", async (t) => {
+    quiet(t);
+    const { baseUrl, requests } = await serve(t, () => ({
+        json: { message: { content: "{}" }, prompt_eval_count: 30, eval_count: 7 }
+    }));
+    const provider = createProvider({ provider: "ollama", providers: { ollama: { baseUrl } }, models: ["llama3"] });
+
+    const result = await provider.chatCompletion({ model: "llama3", messages, max_tokens: 50, temperature: 0.2, top_p: 0.9 });
+    assert.deepEqual(result.usage, { inputTokens: 30, outputTokens: 7 });
+    assert.equal(requests[0].path, "/api/chat");
+    assert.deepEqual(requests[0].body.options, { num_predict: 50, temperature: 0.2, top_p: 0.9 });
+    assert.equal(requests[0].body.stream, false);
+});
+
+test("HTTP errors carry the status and Retry-After", async (t) => {
+    quiet(t);
+    const { baseUrl } = await serve(t, () => ({ status: 429, headers: { "Retry-After": "2" }, json: { error: "slow down" } }));
+    const provider = createProvider({ provider: "openai-compatible", providers: { "openai-compatible": { baseUrl } }, models: ["m1"] });
+
+    await assert.rejects(provider.chatCompletion({ model: "m1", messages }), { status: 429, retryAfterMs: 2000 });
+});
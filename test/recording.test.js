@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { withRecorder, createReplayProvider, recordingKey } = require("../src/recording");
+
+const messages = [
+    { role: "system", content: "You are a QA engineer." },
+    { role: "user", content: "Why did this test fail?" }
+];
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-fixtures-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const live = {
+    name: "live",
+    models: ["m1", "m2"],
+    chatCompletion: async ({ model }) => {
+        if (model === "m2") throw Object.assign(new Error("Model is overloaded"), { status: 503 });
+        return { content: `{"summary":"answer from ${model}"}`, usage: { inputTokens: 12, outputTokens: 5 } };
+    }
+};
+
+test("recordingKey depends on the model and the whole conversation", () => {
+    assert.equal(recordingKey({ model: "m1", messages }), recordingKey({ model: "m1", messages: JSON.parse(JSON.stringify(messages)) }));
+    assert.notEqual(recordingKey({ model: "m1", messages }), recordingKey({ model: "m2", messages }));
+    assert.notEqual(recordingKey({ model: "m1", messages }), recordingKey({ model: "m1", messages: messages.slice(1) }));
+});
+
+test("recorded answers and HTTP errors replay identically", async (t) => {
+    const dir = tempDir(t);
+    const recorder = withRecorder(live, dir);
+
+    const recorded = await recorder.chatCompletion({ model: "m1", messages, temperature: 0.3 });
+    await assert.rejects(recorder.chatCompletion({ model: "m2", messages }), { status: 503 });
+    assert.equal(fs.readdirSync(dir).length, 2);
+
+    const replay = createReplayProvider({ fixturesDir: dir, models: ["m1", "m2"] });
+    assert.deepEqual(await replay.chatCompletion({ model: "m1", messages, temperature: 0.3 }), recorded);
+    await assert.rejects(replay.chatCompletion({ model: "m2", messages }), { status: 503, message: "Model is overloaded" });
+
+    // A second record pass over the same requests rewrites the same fixtures
+    await recorder.chatCompletion({ model: "m1", messages });
+    assert.equal(fs.readdirSync(dir).length, 2);
+});
+
+test("transport failures are not recorded", async (t) => {
+    const dir = tempDir(t);
+    const recorder = withRecorder({ ...live, chatCompletion: async () => { throw Object.assign(new Error("reset"), { code: "ECONNRESET" }); } }, dir);
+    await assert.rejects(recorder.chatCompletion({ model: "m1", messages }), { code: "ECONNRESET" });
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("replay fails unknown requests with ENOFIXTURE", async (t) => {
+    const replay = createReplayProvider({ fixturesDir: tempDir(t), models: ["m1"] });
+    await assert.rejects(replay.chatCompletion({ model: "m1", messages }), { code: "ENOFIXTURE" });
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateHtmlReport } = require("../src/renderHtmlReport");
+
+const setup = (t, sidecarUpdatedAt) => {
+    ["log", "warn", "error"].forEach((level) => t.mock.method(console, level, () => {}));
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-render-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const reportsFolder = path.join(root, ".jsons");
+    fs.mkdirSync(reportsFolder);
+    const failed = { title: "submits", fullTitle: "Login submits", state: "failed", fail: true, err: { message: "boom" }, ai: { summary: "Fresh in-place insight" } };
+    fs.writeFileSync(path.join(reportsFolder, "login_results.json"), JSON.stringify({
+        stats: { tests: 1, failures: 1 },
+        results: [{ title: "", tests: [], suites: [{ title: "Login", tests: [failed], suites: [] }] }],
+        aiSummary: { headline: "Fresh summary", generatedAt: "2026-01-02T00:00:00.000Z" }
+    }));
+
+    const sidecarPath = path.join(root, "insights.json");
+    fs.writeFileSync(sidecarPath, JSON.stringify({
+        version: 1,
+        updatedAt: sidecarUpdatedAt,
+        summary: { headline: "Sidecar summary" },
+        insights: { "title:Login submits": { fullTitle: "Login submits", ai: { summary: "Sidecar insight" } } }
+    }));
+
+    const options = { reportsFolder, sidecarPath, outputDir: path.join(root, "html") };
+    const render = (extra = {}) => {
+        generateHtmlReport({ ...options, ...extra });
+        const merged = JSON.parse(fs.readFileSync(path.join(root, "results.json"), "utf-8"));
+        return { ai: merged.results[0].suites[0].tests[0].ai, aiSummary: merged.aiSummary };
+    };
+    return render;
+};
+
+test("a sidecar older than the reports does not override their insights", (t) => {
+    const { ai, aiSummary } = setup(t, "2020-01-01T00:00:00.000Z")();
+    assert.equal(ai.summary, "Fresh in-place insight");
+    assert.equal(aiSummary.headline, "Fresh summary");
+});
+
+test("a sidecar written after the reports is merged", (t) => {
+    const { ai, aiSummary } = setup(t, new Date(Date.now() + 60000).toISOString())();
+    assert.equal(ai.summary, "Sidecar insight");
+    assert.equal(aiSummary.headline, "Sidecar summary");
+});
+
+test("sidecar mode always merges the sidecar", (t) => {
+    const { ai } = setup(t, "2020-01-01T00:00:00.000Z")({ sidecar: true });
+    assert.equal(ai.summary, "Sidecar insight");
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { withTimeout, isRetryableError, isFatalError, parseRetryAfter, backoffDelay, createCircuitBreaker } = require("../src/retry");
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Resolves after `ms` unless the signal aborts first, like fetch does
+const abortable = (ms, value) => (signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error("This operation was aborted"), { name: "AbortError" }));
+    });
+});
+
+test("withTimeout resolves calls that finish in time", async () => {
+    assert.equal(await withTimeout(abortable(5, "ok"), 1000), "ok");
+});
+
+test("withTimeout rejects with ETIMEDOUT when the call is aborted", async () => {
+    await assert.rejects(withTimeout(abortable(1000, "late"), 20), { code: "ETIMEDOUT", message: "Timed out after 20ms" });
+});
+
+test("withTimeout rejects on time when the call ignores the signal", async () => {
+    const started = Date.now();
+    await assert.rejects(withTimeout(() => new Promise(() => {}), 20), { code: "ETIMEDOUT" });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test("withTimeout passes other errors through", async () => {
+    await assert.rejects(withTimeout(async () => { throw httpError(500); }, 1000), { status: 500 });
+});
+
+test("withTimeout without a timeout calls fn without a signal", async () => {
+    assert.equal(await withTimeout(async (signal) => signal, 0), undefined);
+});
+
+test("isRetryableError retries timeouts, throttling, 5xx and transport failures", () => {
+    assert.ok(isRetryableError(Object.assign(new Error("t"), { code: "ETIMEDOUT" })));
+    assert.ok(isRetryableError(Object.assign(new Error("a"), { name: "AbortError" })));
+    [408, 429, 500, 503].forEach((status) => assert.ok(isRetryableError(httpError(status)), String(status)));
+    assert.ok(isRetryableError(Object.assign(new Error("reset"), { cause: { code: "ECONNRESET" } })));
+    assert.ok(isRetryableError(new TypeError("fetch failed")));
+    assert.ok(isRetryableError({ httpResponse: { status: 502 } }));
+});
+
+test("isRetryableError does not retry client errors or unknown failures", () => {
+    [400, 401, 403, 404, 422].forEach((status) => assert.ok(!isRetryableError(httpError(status)), String(status)));
+    assert.ok(!isRetryableError(new Error("Malformed JSON response")));
+    assert.ok(!isRetryableError(null));
+});
+
+test("isFatalError is true only for rejected credentials", () => {
+    assert.ok(isFatalError(httpError(401)));
+    assert.ok(isFatalError(httpError(403)));
+    assert.ok(!isFatalError(httpError(429)));
+    assert.ok(!isFatalError(new Error("no status")));
+});
+
+test("parseRetryAfter accepts delta-seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("3"), 3000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+    const ms = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(ms > 50000 && ms <= 60000);
+});
+
+test("backoffDelay honors Retry-After and caps the delay", () => {
+    const config = { retryBaseDelayMs: 1000, retryMaxDelayMs: 5000 };
+    assert.equal(backoffDelay(0, { retryAfterMs: 2000 }, config), 2000);
+    assert.equal(backoffDelay(0, { retryAfterMs: 60000 }, config), 5000);
+    const delay = backoffDelay(1, null, config);
+    assert.ok(delay >= 1000 && delay <= 2000);
+    assert.equal(backoffDelay(10, null, config), 5000);
+});
+
+test("createCircuitBreaker opens after consecutive failures and resets on success", () => {
+    const breaker = createCircuitBreaker({ threshold: 2 });
+    assert.equal(breaker.failure("m1"), false);
+    breaker.success("m1");
+    assert.equal(breaker.failure("m1"), false);
+    assert.equal(breaker.failure("m1"), true);
+    assert.ok(breaker.isOpen("m1"));
+    assert.equal(breaker.failure("m1"), false); // Already open
+    assert.deepEqual(breaker.openModels(), ["m1"]);
+
+    const disabled = createCircuitBreaker({ threshold: 0 });
+    assert.equal(disabled.failure("m1"), false);
+    assert.ok(!disabled.isOpen("m1"));
+});
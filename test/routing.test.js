@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyFailure, routeModels, SIMPLE, COMPLEX } = require("../src/routing");
+
+test("classifyFailure sends selector and plain timing failures to the simple route", () => {
+    assert.equal(classifyFailure(["selector", "timing"]), SIMPLE);
+    assert.equal(classifyFailure(["timing"]), SIMPLE);
+    assert.equal(classifyFailure(["timing", "assertion"]), COMPLEX);
+    assert.equal(classifyFailure(["network", "selector"]), COMPLEX); // Backend behavior wins
+    assert.equal(classifyFailure(["assertion"]), COMPLEX);
+    assert.equal(classifyFailure([]), COMPLEX);
+});
+
+test("routeModels puts the last model first for simple failures by default", () => {
+    const models = ["large", "medium", "small"];
+    assert.deepEqual(routeModels(models, SIMPLE), ["small", "large", "medium"]);
+    assert.deepEqual(routeModels(models, COMPLEX), ["large", "medium", "small"]);
+    assert.deepEqual(routeModels(["only"], SIMPLE), ["only"]);
+});
+
+test("routeModels uses the configured cheap models that are in the list", () => {
+    const models = ["large", "medium", "small"];
+    assert.deepEqual(routeModels(models, SIMPLE, ["medium", "tiny"]), ["medium", "large", "small"]);
+    assert.deepEqual(routeModels(models, COMPLEX, ["medium"]), ["large", "small", "medium"]);
+    assert.deepEqual(routeModels(models, SIMPLE, ["tiny"]), models);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSelector, isWeakInsight, withHistory, toMatcher } = require("../src/selection");
+
+const base = { force: false, onlyFallback: false, minConfidence: 0.5, grep: null, spec: null };
+const failure = { title: "logs in", fullTitle: "Auth logs in" };
+const strong = { modelUsed: "m1", confidence: 0.9, quality: { status: "valid" } };
+const fallback = { modelUsed: null, confidence: 0 };
+
+test("toMatcher is case-insensitive and tolerates invalid patterns", () => {
+    assert.ok(toMatcher("^auth")("AUTH logs in"));
+    assert.ok(toMatcher("login(")("cy.login() failed"));
+    assert.ok(!toMatcher("login(")("logout"));
+    assert.equal(toMatcher(null), null);
+});
+
+test("isWeakInsight flags fallback, rules, degraded and low-confidence insights", () => {
+    assert.ok(isWeakInsight(null, base));
+    assert.ok(isWeakInsight(fallback, base));
+    assert.ok(isWeakInsight({ ...strong, modelUsed: "rules" }, base));
+    assert.ok(isWeakInsight({ ...strong, quality: { status: "degraded" } }, base));
+    assert.ok(isWeakInsight({ ...strong, confidence: 0.3 }, base));
+    assert.ok(!isWeakInsight(strong, base));
+});
+
+test("default selection analyzes only failures without an insight", () => {
+    const select = createSelector(base);
+    assert.deepEqual(select(failure, "auth.cy.js", null), { selected: true, reanalyze: false });
+    assert.deepEqual(select(failure, "auth.cy.js", strong), { selected: false, reanalyze: false });
+});
+
+test("force re-analyzes every failure", () => {
+    const select = createSelector({ ...base, force: true });
+    assert.deepEqual(select(failure, "auth.cy.js", strong), { selected: true, reanalyze: true });
+});
+
+test("onlyFallback re-analyzes only weak insights", () => {
+    const select = createSelector({ ...base, onlyFallback: true, force: true });
+    assert.deepEqual(select(failure, "auth.cy.js", fallback), { selected: true, reanalyze: true });
+    assert.deepEqual(select(failure, "auth.cy.js", strong), { selected: false, reanalyze: false });
+});
+
+test("grep and spec limit the selection and refresh matching tests", () => {
+    const select = createSelector({ ...base, grep: "logs? in", spec: "auth" });
+    assert.deepEqual(select(failure, "cypress/e2e/auth.cy.js", strong), { selected: true, reanalyze: true });
+    assert.deepEqual(select(failure, "cypress/e2e/cart.cy.js", null), { selected: false });
+    assert.deepEqual(select({ title: "checks out", fullTitle: "Cart checks out" }, "auth.cy.js", null), { selected: false });
+});
+
+test("grep with onlyFallback refreshes only weak matching insights", () => {
+    const select = createSelector({ ...base, grep: "auth", onlyFallback: true });
+    assert.equal(select(failure, "auth.cy.js", strong).selected, false);
+    assert.equal(select(failure, "auth.cy.js", fallback).selected, true);
+});
+
+test("withHistory keeps previous insights newest first, capped at the limit", () => {
+    const first = withHistory({ summary: "v2" }, { summary: "v1" }, 2);
+    const second = withHistory({ summary: "v3" }, first, 2);
+    assert.deepEqual(second.history.map((h) => h.summary), ["v2", "v1"]);
+    assert.ok(second.history[0].replacedAt);
+    assert.equal(second.history[0].history, undefined);
+    assert.deepEqual(withHistory({ summary: "v2" }, { summary: "v1" }, 0), { summary: "v2" });
+});
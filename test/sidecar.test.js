@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sidecarKey, forEachTest, loadSidecar, saveSidecar, findInsight, mergeSidecar } = require("../src/sidecar");
+
+const tempFile = (t, name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-sidecar-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+};
+
+const report = () => ({
+    results: [{
+        title: "",
+        tests: [{ uuid: "u-1", title: "loads", fullTitle: "Home loads", state: "failed" }],
+        suites: [{ title: "Login", tests: [{ title: "submits", fullTitle: "Login submits", state: "failed" }], suites: [] }]
+    }]
+});
+
+test("sidecarKey prefers the uuid and falls back to the full title", () => {
+    assert.equal(sidecarKey({ uuid: "u-1", fullTitle: "Home loads" }), "u-1");
+    assert.equal(sidecarKey({ title: "submits", fullTitle: "Login submits" }), "title:Login submits");
+});
+
+test("forEachTest walks nested suites", () => {
+    const titles = [];
+    forEachTest(report(), (t) => titles.push(t.fullTitle));
+    assert.deepEqual(titles, ["Home loads", "Login submits"]);
+});
+
+test("a saved sidecar loads back and merges onto the report", (t) => {
+    const file = tempFile(t, "insights.json");
+    assert.deepEqual(loadSidecar(file), { version: 1, insights: {} });
+
+    const sidecar = loadSidecar(file);
+    sidecar.summary = { headline: "Ship it" };
+    forEachTest(report(), (test) => {
+        sidecar.insights[sidecarKey(test)] = { fullTitle: test.fullTitle, ai: { summary: `Insight for ${test.title}` } };
+    });
+    saveSidecar(file, sidecar);
+
+    const loaded = loadSidecar(file);
+    assert.ok(loaded.updatedAt);
+    assert.deepEqual(Object.keys(loaded.insights), ["u-1", "title:Login submits"]);
+
+    const target = report();
+    target.results[0].suites[0].tests[0].ai = { summary: "Old" };
+    assert.equal(mergeSidecar(target, loaded), 2);
+    assert.equal(target.aiSummary.headline, "Ship it");
+    assert.equal(target.results[0].tests[0].ai.summary, "Insight for loads");
+    assert.equal(target.results[0].suites[0].tests[0].ai.summary, "Insight for submits");
+});
+
+test("findInsight misses unknown tests and an invalid sidecar loads empty", (t) => {
+    const file = tempFile(t, "insights.json");
+    fs.writeFileSync(file, JSON.stringify({ insights: "broken" }));
+    const sidecar = loadSidecar(file);
+    assert.deepEqual(sidecar.insights, {});
+    assert.equal(findInsight(sidecar, { uuid: "u-9", fullTitle: "Unknown" }), null);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildSourceContext, loadCustomCommands, parseStackLocation, failingStatement } = require("../src/sourceContext");
+
+const tempProject = (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-source-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(root, "cypress/e2e"), { recursive: true });
+    return root;
+};
+
+const stackAt = (file, line) => `AssertionError: expected false to be true\n    at Context.eval (webpack:///./${file}:${line}:5)`;
+
+const spec = [
+    "describe('Login', () => {",
+    "    it('submits the form', () => {",
+    "        cy.visit('/login');",
+    "        cy.login('ada', 'secret');",
+    "        cy.get('[data-cy=submit]').click();",
+    "        cy.contains('Welcome');",
+    "    });",
+    "});"
+].join("\n");
+
+const support = [
+    "Cypress.Commands.add('login', (user, password) => {",
+    "    cy.get('#user').type(user);",
+    "    cy.get('#password').type(`${password})`);",
+    "});",
+    "Cypress.Commands.add('logout', () => cy.get('#logout').click());"
+].join("\n");
+
+const config = { projectRoot: null, sourceContextLines: 1, maxCustomCommands: 3 };
+
+// --- parseStackLocation ---
+
+test("parseStackLocation skips runner frames and prefers the reported spec", () => {
+    const stack = [
+        "Error: boom",
+        "    at cy.get (http://localhost:8080/__cypress/runner/cypress_runner.js:1200:3)",
+        "    at helper (webpack:///./cypress/support/helpers.cy.js:4:2)",
+        "    at Context.eval (webpack://app/./cypress/e2e/login.cy.js:5:9)"
+    ].join("\n");
+    assert.deepEqual(parseStackLocation(stack, "cypress/e2e/login.cy.js"), { file: "cypress/e2e/login.cy.js", line: 5, column: 9 });
+    assert.deepEqual(parseStackLocation(stack, null), { file: "cypress/support/helpers.cy.js", line: 4, column: 2 });
+    assert.equal(parseStackLocation("Error: boom", "login.cy.js"), null);
+});
+
+// --- loadCustomCommands & buildSourceContext ---
+
+test("loadCustomCommands indexes command definitions with balanced bodies", (t) => {
+    const root = tempProject(t);
+    fs.mkdirSync(path.join(root, "cypress/support"));
+    fs.writeFileSync(path.join(root, "cypress/support/commands.js"), support);
+
+    const commands = loadCustomCommands(root, "cypress/support");
+    assert.deepEqual(Array.from(commands.keys()), ["login", "logout"]);
+    assert.equal(commands.get("login").file, "cypress/support/commands.js");
+    assert.equal(commands.get("login").code, support.split("\n").slice(0, 4).join("\n").replace(/;$/, "")); // The call only, despite the ")" in the template string
+    assert.equal(loadCustomCommands(root, "missing").size, 0);
+});
+
+test("buildSourceContext excerpts the failing line with the custom commands it uses", (t) => {
+    const root = tempProject(t);
+    fs.writeFileSync(path.join(root, "cypress/e2e/login.cy.js"), spec);
+    fs.mkdirSync(path.join(root, "cypress/support"));
+    fs.writeFileSync(path.join(root, "cypress/support/commands.js"), support);
+    const failure = { title: "submits the form", err: { estack: stackAt("cypress/e2e/login.cy.js", 5) } };
+
+    const context = buildSourceContext(failure, "cypress/e2e/login.cy.js", { ...config, projectRoot: root }, loadCustomCommands(root, "cypress/support"));
+    assert.equal(context.file, "cypress/e2e/login.cy.js");
+    assert.equal(context.line, 5);
+    assert.equal(context.fromStack, true);
+    assert.equal(context.excerpt, [
+        "  4 |         cy.login('ada', 'secret');",
+        "> 5 |         cy.get('[data-cy=submit]').click();",
+        "  6 |         cy.contains('Welcome');"
+    ].join("\n"));
+    assert.deepEqual(context.commands.map((c) => c.name), ["login"]);
+});
+
+test("buildSourceContext falls back to the it() line, or null when the spec is missing", (t) => {
+    const root = tempProject(t);
+    fs.writeFileSync(path.join(root, "cypress/e2e/login.cy.js"), spec);
+    const options = { ...config, projectRoot: root };
+
+    const context = buildSourceContext({ title: "submits the form", err: { message: "boom" } }, "cypress/e2e/login.cy.js", options, null);
+    assert.equal(context.line, 2);
+    assert.equal(context.fromStack, false);
+    assert.deepEqual(context.commands, []);
+    assert.equal(buildSourceContext({ title: "submits the form", err: {} }, "cypress/e2e/cart.cy.js", options, null), null);
+});
+
+// --- failingStatement ---
+
+test("failingStatement returns the trimmed source line the stack points at", (t) => {
+    const root = tempProject(t);
+    fs.writeFileSync(path.join(root, "cypress/e2e/login.cy.js"), "it('logs in', () => {\n    cy.visit('/');\n    expect(isValid).to.be.true;\n});");
+
+    const files = new Map();
+    assert.equal(failingStatement(stackAt("cypress/e2e/login.cy.js", 3), "cypress/e2e/login.cy.js", root, files), "expect(isValid).to.be.true;");
+    assert.equal(files.size, 1);
+});
+
+test("failingStatement falls back to the location, or null without a spec frame", (t) => {
+    const root = tempProject(t);
+    assert.equal(failingStatement(stackAt("cypress/e2e/cart.cy.js", 8), "cypress/e2e/cart.cy.js", root), "cart.cy.js:8");
+    assert.equal(failingStatement("Error: boom\n    at __cypress/runner/cypress_runner.js:100:3", "cart.cy.js", root), null);
+    assert.equal(failingStatement("", "cart.cy.js", root), null);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadTriageRules, findSkipRule, applyTriageRules } = require("../src/triageRules");
+
+const quiet = (t) => ["log", "warn"].forEach((level) => t.mock.method(console, level, () => {}));
+
+const subject = (title, error, specFile = "cypress/e2e/checkout.cy.js") => ({ test: { title, fullTitle: `Checkout ${title}` }, specFile, error });
+const insight = { summary: "Payment failed", severity: "medium", tags: ["network"], modelUsed: "m1" };
+
+const rules = [
+    { id: "payments-critical", match: { spec: "checkout", error: "payment" }, set: { severity: "critical", owner: "payments-team", knownIssue: "https://jira.example.com/browse/PAY-12" } },
+    { id: "quarantine", match: { tag: "quarantine" }, skipAi: true },
+    { id: "network-owner", match: { aiTag: "network" }, set: { owner: "platform", tags: ["infra"] }, skipAi: true }
+];
+
+test("a matching rule pins its fields and records the overrides", (t) => {
+    quiet(t);
+    const ai = applyTriageRules(loadTriageRules({ triageRules: rules }), subject("pays", "Payment API returned 500"), insight);
+    assert.equal(ai.severity, "critical");
+    assert.equal(ai.owner, "platform"); // Later rules win
+    assert.deepEqual(ai.knownIssue, { id: "PAY-12", url: "https://jira.example.com/browse/PAY-12" });
+    assert.deepEqual(ai.tags, ["network", "infra"]);
+    assert.deepEqual(ai.triage, {
+        rules: ["payments-critical", "network-owner"],
+        skippedAi: false,
+        overrides: { severity: { from: "medium", to: "critical" } }
+    });
+});
+
+test("a rule whose criteria do not all match leaves the insight alone", (t) => {
+    quiet(t);
+    const compiled = loadTriageRules({ triageRules: rules.slice(0, 2) });
+    assert.equal(applyTriageRules(compiled, subject("pays", "Payment API returned 500", "cypress/e2e/login.cy.js"), insight), insight);
+    assert.equal(applyTriageRules(compiled, subject("pays", "Cart is empty"), insight), insight);
+});
+
+test("only rules that need no insight can skip the AI call", (t) => {
+    quiet(t);
+    const compiled = loadTriageRules({ triageRules: rules });
+    assert.equal(findSkipRule(compiled, subject("[QUARANTINE] pays", "boom")).id, "quarantine");
+    assert.equal(findSkipRule(compiled, subject("pays", "boom")), undefined); // network-owner needs the AI tags
+});
+
+test("invalid rules are skipped with a warning", (t) => {
+    quiet(t);
+    const compiled = loadTriageRules({ triageRules: [{ id: "empty" }, { id: "bad-severity", match: { spec: "x" }, set: { severity: "urgent" } }, rules[1]] });
+    assert.deepEqual(compiled.map((rule) => rule.id), ["quarantine"]);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test("a malformed rules file yields no rules", (t) => {
+    quiet(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "testaignite-rules-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "testaignite.rules.json");
+    fs.writeFileSync(file, "{ \"rules\": [ { \"id\": \"oops\", ");
+
+    assert.deepEqual(loadTriageRules({ triageRulesFile: file }), []);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Failed to load triage rules/);
+    assert.deepEqual(loadTriageRules({ triageRulesFile: path.join(dir, "missing.json") }), []);
+
+    fs.writeFileSync(file, JSON.stringify({ rules: [rules[1]] }));
+    assert.deepEqual(loadTriageRules({ triageRulesFile: file }).map((rule) => rule.id), ["quarantine"]);
+});
@@ -8,6 +8,7 @@ const STATUS_META = {
   failed: { label: "FAIL", color: "#E84B5C" },
   skipped: { label: "SKIP", color: "#A78BFA" },
   pending: { label: "PENDING", color: "#F3B34D" },
+  flaky: { label: "FLAKY", color: "#F08A3C" },
 };
 
 // UI state + cached report data.
@@ -24,6 +25,7 @@ const state = {
   donutLocked: false,
   autoMode: true,
   history: [],
+  feedback: new Map(),
 };
 
 let lastMetricsStats = null;
@@ -58,6 +60,7 @@ const ui = {
   app: document.querySelector(".app"),
   lastUpdated: document.getElementById("last-updated"),
   statusChip: document.getElementById("status-chip"),
+  knownChip: document.getElementById("known-chip"),
   modeChip: document.getElementById("mode-chip"),
   errorCard: document.getElementById("error-card"),
   errorList: document.getElementById("error-list"),
@@ -97,6 +100,8 @@ const ui = {
   insightsModal: document.getElementById("insights-modal"),
   insightsClose: document.getElementById("insights-close"),
   insightsList: document.getElementById("insights-list"),
+  aiSummaryCard: document.getElementById("ai-summary-card"),
+  feedbackExport: document.getElementById("feedback-export"),
 };
 
 // Always reveal the app once DOM is ready (even if data isn't loaded).
@@ -212,6 +217,15 @@ function normalizeStatus(test) {
   return "pending";
 }
 
+// Passed only after a Cypress retry: flagged by the enricher, or visible in the retry data.
+function isFlakyTest(test) {
+  if (test.ai?.flaky) return true;
+  if (!(test.state === "passed" || test.pass)) return false;
+  const attempts = Array.isArray(test.attempts) ? test.attempts : test.prevAttempts || [];
+  return Number(test.currentRetry || test._currentRetry || 0) > 0
+    || attempts.some((a) => a && (a.state === "failed" || a.error || a.err));
+}
+
 // Extract tag strings in [TAG] format.
 function extractTags(title) {
   const tags = [];
@@ -238,10 +252,303 @@ function extractAIMeta(test) {
     aiExpected: ai.inferredExpected || "",
     aiFix: ai.recommendation || ai.fix || "",
     aiTags: Array.isArray(ai.tags) ? ai.tags : [],
-    aiModel: ai.modelUsed || "AI Analysis"
+    aiModel: ai.modelUsed || "AI Analysis",
+    aiQuality: ai.quality || null,
+    aiPromptId: ai.promptId || "",
+    aiProvenance: ai.provenance || null,
+    aiRule: ai.rule || null,
+    aiConfidence: typeof ai.confidence === "number" ? ai.confidence : null,
+    aiEnsemble: ai.ensemble && Array.isArray(ai.ensemble.models) ? ai.ensemble : null,
+    aiInjection: ai.injection && ai.injection.detected ? ai.injection : null,
+    aiGrounding: ai.grounding && Array.isArray(ai.grounding.ungrounded) ? ai.grounding : null,
+    aiFingerprint: ai.fingerprint || "",
+    aiSeenBefore: Array.isArray(ai.seenBefore) ? ai.seenBefore : [],
+    aiTriage: ai.triage || null,
+    aiOwner: ai.owner || "",
+    aiKnownIssue: knownIssueOf(ai.knownIssue),
+    aiExtra: ai.extra && typeof ai.extra === "object" ? ai.extra : {},
+    aiClusterId: ai.clusterId || "",
+    aiClusterSize: Number(ai.clusterSize || 0)
   };
 }
 
+// Known-issue ticket attached by the registry or a triage rule: { id, url, status, expires, expired }.
+function knownIssueOf(value) {
+  if (!value) return null;
+  if (typeof value === "string") return { id: value, url: /^https?:\/\//i.test(value) ? value : null };
+  return value.id || value.url ? value : null;
+}
+
+function knownIssueHtml(issue) {
+  const label = escapeHtml(issue.id || issue.url);
+  const link = issue.url && /^https?:\/\//i.test(issue.url)
+    ? `<a href="${escapeHtml(issue.url)}" target="_blank" rel="noopener">${label}</a>`
+    : label;
+  const status = issue.status ? ` &middot; ${escapeHtml(issue.status)}` : "";
+  const expired = issue.expired
+    ? ` <span class="known-expired" title="Registry entry expired on ${escapeHtml(issue.expires || "")}">expired</span>`
+    : "";
+  return `Known issue ${link}${status}${expired}`;
+}
+
+// Similar failures from earlier runs (history index), with when they were seen and what fixed them.
+function seenBeforeHtml(matches) {
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "?");
+  return `<ul class="seen-before-list">${matches.map((m) => `
+    <li>
+      <strong>${escapeHtml(m.fullTitle)}</strong>
+      <span class="seen-before-meta">last seen ${escapeHtml(formatDate(m.lastSeen))}${m.occurrences > 1 ? `, ${m.occurrences} times since ${escapeHtml(formatDate(m.firstSeen))}` : ""} &middot; ${Math.round((m.score || 0) * 100)}% similar</span>
+      ${m.summary ? `<div>${escapeHtml(m.summary)}</div>` : ""}
+      ${m.recommendation ? `<div class="seen-before-fix">${escapeHtml(m.recommendation)}</div>` : ""}
+    </li>`).join("")}</ul>`;
+}
+
+// Per-model verdicts of an ensemble analysis, with the agreement score and why the models disagree.
+function ensembleHtml(ensemble) {
+  const verdictLabel = { product: "fix the product", test: "fix the test" };
+  const head = `${ensemble.models.length}${ensemble.queried ? `/${ensemble.queried}` : ""} models &middot; ${Math.round((ensemble.agreement || 0) * 100)}% agree on severity${ensemble.incomplete ? " &middot; incomplete" : ""}`;
+  const reasons = (ensemble.reasons || []).length
+    ? `<div class="ensemble-reasons">Models disagree: ${ensemble.reasons.map(escapeHtml).join("; ")}</div>`
+    : "";
+  return `${head}${reasons}<ul class="ensemble-list">${ensemble.models.map((m) => `
+    <li>
+      <strong>${escapeHtml(m.model)}</strong>${m.model === ensemble.leadModel ? " (shown)" : ""}:
+      ${escapeHtml(m.severity)}${m.verdict ? `, ${verdictLabel[m.verdict] || escapeHtml(m.verdict)}` : ""}${typeof m.confidence === "number" ? `, ${Math.round(m.confidence * 100)}% confident` : ""}${m.provenance ? ` &middot; ${m.provenance.calls} call${m.provenance.calls === 1 ? "" : "s"}, ${m.provenance.inputTokens + m.provenance.outputTokens} tokens` : ""}
+      ${m.summary ? `<div>${escapeHtml(m.summary)}</div>` : ""}
+    </li>`).join("")}</ul>`;
+}
+
+// Wraps the claims of `field` that the grounding check could not find in the failure evidence.
+function markUngrounded(test, field, text) {
+  const claims = (test.aiGrounding?.ungrounded || []).filter((u) => u.field === field);
+  if (!claims.length || !text) return escapeHtml(text);
+  return claims.reduce((html, claim) => {
+    const value = escapeHtml(claim.value);
+    return html.split(value).join(`<mark class="ungrounded" title="Not found in the error, stack or test code">${value}</mark>`);
+  }, escapeHtml(text));
+}
+
+function groundingHtml(test) {
+  const grounding = test.aiGrounding;
+  const confidence = grounding.originalConfidence != null && test.aiConfidence != null
+    ? ` Confidence lowered from ${Math.round(grounding.originalConfidence * 100)}% to ${Math.round(test.aiConfidence * 100)}%.`
+    : "";
+  return `${grounding.grounded} of ${grounding.checked} cited selectors, URLs, status codes and elements found in the failure.${confidence}
+    <ul class="grounding-list">${grounding.ungrounded.map((u) => `<li><code>${escapeHtml(u.value)}</code> (${escapeHtml(u.type)}, ${escapeHtml(humanizeField(u.field))})</li>`).join("")}</ul>`;
+}
+
+// Instruction-like text found in the failure output, what it asked for and which answers followed it.
+function injectionHtml(injection) {
+  const requested = injection.requested
+    ? [injection.requested.severity && `severity ${escapeHtml(injection.requested.severity)}`,
+      (injection.requested.tags || []).length && `tags ${injection.requested.tags.map(escapeHtml).join(", ")}`].filter(Boolean).join(", ")
+    : "";
+  const steered = (injection.steered || []).map((r) => `${escapeHtml(r.model)} (${r.fields.map(escapeHtml).join(", ")}; ${r.rejected ? "rejected" : "kept, confidence lowered"})`).join("; ");
+  return `Found in ${(injection.fields || []).map(escapeHtml).join(", ")}: ${(injection.patterns || []).map((p) => `<code>${escapeHtml(p)}</code>`).join(", ")}
+    ${requested ? `<div>Asked for ${requested}.</div>` : ""}
+    ${steered ? `<div>Answers matching it: ${steered}</div>` : ""}
+    <ul class="injection-excerpts">${(injection.excerpts || []).map((e) => `<li>${escapeHtml(e)}</li>`).join("")}</ul>`;
+}
+
+// --- Verdict feedback (exported for `testaignite feedback:import`) ---
+const FEEDBACK_CATEGORIES = ["product", "test", "environment"];
+
+function feedbackKey(test) {
+  return `${test.fullTitle}\u0000${test.aiFingerprint || test.errorMessage}`;
+}
+
+function recordFeedback(test, verdict, correction = null) {
+  state.feedback.set(feedbackKey(test), {
+    fullTitle: test.fullTitle,
+    error: test.errorMessage,
+    fingerprint: test.aiFingerprint || null,
+    verdict,
+    original: {
+      summary: test.aiSummary,
+      severity: test.aiSeverity,
+      testRootCause: test.aiTestRootCause,
+      productRootCause: test.aiProductRootCause,
+      recommendation: test.aiFix
+    },
+    correction,
+    createdAt: new Date().toISOString()
+  });
+  updateFeedbackExport();
+}
+
+function updateFeedbackExport() {
+  if (!ui.feedbackExport) return;
+  const count = state.feedback.size;
+  ui.feedbackExport.textContent = `Export feedback (${count})`;
+  ui.feedbackExport.disabled = !count;
+}
+
+function exportFeedback() {
+  const payload = { version: 1, exportedAt: new Date().toISOString(), entries: Array.from(state.feedback.values()) };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "testaignite-feedback.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function feedbackStatusText(entry) {
+  if (!entry) return "";
+  return entry.verdict === "accepted" ? "Verdict accepted" : `Corrected: ${entry.correction.category} issue`;
+}
+
+function feedbackHtml(test) {
+  const severities = ["low", "medium", "high", "critical"];
+  const current = state.feedback.get(feedbackKey(test));
+  return `
+          <div class="bug-field feedback-field">
+             <span class="field-label">Your Verdict</span>
+             <span class="field-value">
+               <span class="feedback-actions">
+                 <button type="button" class="feedback-btn" data-action="accept">Accept</button>
+                 <button type="button" class="feedback-btn" data-action="correct">Correct</button>
+                 <span class="feedback-status">${escapeHtml(feedbackStatusText(current))}</span>
+               </span>
+               <form class="feedback-form hidden">
+                 <label>Actual cause
+                   <select name="category">${FEEDBACK_CATEGORIES.map((c) => `<option value="${c}">${c} issue</option>`).join("")}</select>
+                 </label>
+                 <label>Severity
+                   <select name="severity">${severities.map((s) => `<option value="${s}"${s === test.aiSeverity ? " selected" : ""}>${s}</option>`).join("")}</select>
+                 </label>
+                 <label>Root cause<textarea name="rootCause" rows="2" placeholder="What really went wrong"></textarea></label>
+                 <label>Fix<textarea name="recommendation" rows="2" placeholder="Optional: the right remediation"></textarea></label>
+                 <button type="submit" class="feedback-btn primary">Save correction</button>
+               </form>
+             </span>
+          </div>`;
+}
+
+function bindFeedback(card, test) {
+  const form = card.querySelector(".feedback-form");
+  const status = card.querySelector(".feedback-status");
+  if (!form || !status) return;
+  card.querySelector('[data-action="accept"]').addEventListener("click", () => {
+    recordFeedback(test, "accepted");
+    form.classList.add("hidden");
+    status.textContent = feedbackStatusText(state.feedback.get(feedbackKey(test)));
+  });
+  card.querySelector('[data-action="correct"]').addEventListener("click", () => {
+    form.classList.toggle("hidden");
+  });
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    recordFeedback(test, "corrected", {
+      category: data.get("category"),
+      severity: data.get("severity"),
+      rootCause: String(data.get("rootCause") || "").trim(),
+      recommendation: String(data.get("recommendation") || "").trim()
+    });
+    form.classList.add("hidden");
+    status.textContent = feedbackStatusText(state.feedback.get(feedbackKey(test)));
+  });
+}
+
+// Team triage policy applied to an insight: fired rules, owner, known-issue link and overridden fields.
+function triageHtml(test) {
+  const parts = [];
+  if (test.aiTriage?.rules?.length) {
+    const verb = test.aiTriage.skippedAi ? "AI skipped by rule" : "Rule";
+    parts.push(`${verb}${test.aiTriage.rules.length > 1 ? "s" : ""}: ${test.aiTriage.rules.map((id) => `<code>${escapeHtml(id)}</code>`).join(", ")}`);
+  }
+  if (test.aiOwner) parts.push(`Owner: <strong>${escapeHtml(test.aiOwner)}</strong>`);
+  Object.entries(test.aiTriage?.overrides || {}).forEach(([field, change]) => {
+    const show = (value) => escapeHtml(value && typeof value === "object" ? value.id || value.url : String(value));
+    parts.push(`${escapeHtml(humanizeField(field))}: ${show(change.from)} &rarr; ${show(change.to)}`);
+  });
+  return parts.join("<br/>");
+}
+
+// Tooltip text for the model badge: prompt version plus the audit trail of the AI call.
+function describeProvenance(test) {
+  const parts = [];
+  if (test.aiRule) parts.push(`Offline knowledge base rule "${test.aiRule.id}" (v${test.aiRule.version})`);
+  if (test.aiPromptId) parts.push(`Prompt ${test.aiPromptId}`);
+  const p = test.aiProvenance;
+  if (p) {
+    parts.push(`${p.provider} / ${p.model} (attempt ${p.attempt}, ${p.calls} call${p.calls === 1 ? "" : "s"})`);
+    parts.push(`${p.latencyMs}ms, ${p.inputTokens} in / ${p.outputTokens} out tokens${p.tokensEstimated ? " (estimated)" : ""}`);
+    if (p.timestamp) parts.push(new Date(p.timestamp).toLocaleString());
+  }
+  return parts.join(" · ");
+}
+
+// Escape HTML tags in report text (prevents '<h1>' in error text from rendering as a giant heading).
+function escapeHtml(str) {
+  return String(str ?? "").replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// Release decision of the AI executive summary -> health badge.
+const RELEASE_DECISIONS = {
+  go: { label: "Go", className: "healthy" },
+  "go-with-caution": { label: "Go with Caution", className: "risk" },
+  "no-go": { label: "No-Go - Release Blocked", className: "critical" },
+};
+
+function releaseDecision(summary) {
+  return RELEASE_DECISIONS[summary?.releaseRecommendation] || RELEASE_DECISIONS["go-with-caution"];
+}
+
+// Headline, issue split and top risks of the run-level AI summary.
+function executiveSummaryHtml(summary, withHeadline = true) {
+  const risks = (summary.topRisks || []).map((risk) => `<li>${escapeHtml(risk)}</li>`).join("");
+  return `
+    ${withHeadline ? `<p class="ai-summary-headline">${escapeHtml(summary.headline)}</p>` : ""}
+    <p class="ai-summary-rationale">${escapeHtml(summary.rationale)}</p>
+    <div class="ai-summary-split">
+      <span><strong>${Number(summary.productIssues) || 0}</strong> product issue(s)</span>
+      <span><strong>${Number(summary.testIssues) || 0}</strong> test issue(s)</span>
+      <span class="ai-summary-model">${escapeHtml(summary.modelUsed || "")}</span>
+    </div>
+    ${risks ? `<div class="ai-summary-risks-title">Top Risks</div><ol class="ai-summary-risks">${risks}</ol>` : ""}
+  `;
+}
+
+// Run-level AI executive summary at the top of the report (hidden when enrichment produced none).
+function renderExecutiveSummary(summary) {
+  const card = ui.aiSummaryCard;
+  if (!card) return;
+  if (!summary || !summary.headline) {
+    card.classList.add("hidden");
+    card.innerHTML = "";
+    return;
+  }
+
+  const decision = releaseDecision(summary);
+  card.innerHTML = `
+    <div class="card-header">
+      <div>
+        <h2>AI Executive Summary</h2>
+        <p>Release recommendation across ${Number(summary.failures) || 0} failure(s)</p>
+      </div>
+      <span class="jira-badge status-badge ${decision.className}">${decision.label}</span>
+    </div>
+    ${executiveSummaryHtml(summary)}
+  `;
+  card.classList.remove("hidden");
+}
+
+// Turn a camelCase/snake_case insight field name into a display label.
+function humanizeField(field) {
+  return String(field)
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/^./, (c) => c.toUpperCase());
+}
+
 // Try to find a screenshot path embedded in error context.
 function extractScreenshot(context) {
   if (!context) return "";
@@ -305,11 +612,13 @@ function collectTests(report) {
       tests.push({
         status,
         title: test.title || "(untitled)",
+        fullTitle: test.fullTitle || test.title || "",
         duration,
         tags,
         errorMessage,
         screenshot: extractScreenshot(test.context),
         suite: test.suite || "Core",
+        flaky: isFlakyTest(test),
         ...ai,
       });
     });
@@ -334,11 +643,13 @@ function collectTests(report) {
       tests.push({
         status,
         title: test.title || "(untitled)",
+        fullTitle: test.fullTitle || test.title || "",
         duration,
         tags,
         errorMessage,
         screenshot: extractScreenshot(test.context),
         suite: suiteTitle,
+        flaky: isFlakyTest(test),
         ...ai,
       });
     });
@@ -356,6 +667,8 @@ function computeStats(stats, tests) {
     failures: tests.filter((t) => t.status === "failed").length,
     skipped: tests.filter((t) => t.status === "skipped").length,
     pending: tests.filter((t) => t.status === "pending").length,
+    flaky: tests.filter((t) => t.flaky).length,
+    knownFailures: tests.filter((t) => t.status === "failed" && t.aiKnownIssue).length,
     duration: tests.reduce((acc, t) => acc + (t.duration || 0), 0),
     passPercent: tests.length ? (tests.filter((t) => t.status === "passed").length / tests.length) * 100 : 0,
   };
@@ -366,6 +679,8 @@ function computeStats(stats, tests) {
     failures: stats?.failures ?? fallback.failures,
     skipped: stats?.skipped ?? fallback.skipped,
     pending: stats?.pending ?? fallback.pending,
+    flaky: fallback.flaky,
+    knownFailures: fallback.knownFailures,
     duration: stats?.duration ?? fallback.duration,
     passPercent: stats?.passPercent ?? fallback.passPercent,
   };
@@ -624,7 +939,7 @@ function tagsFor(test, severity) {
 
 // --- JIRA-STYLE MODAL RENDERING ---
 
-function renderInsights(tests) {
+function renderInsights(tests, aiSummary) {
   // Grab containers
   const containers = {
     runId: document.getElementById("jira-run-id"),
@@ -686,6 +1001,14 @@ function renderInsights(tests) {
     justification = "Too many critical failures or low pass rate.";
   }
 
+  // The run-level AI summary, when present, replaces the pass-rate heuristics
+  if (aiSummary && aiSummary.headline) {
+    const decision = releaseDecision(aiSummary);
+    healthStatus = decision.label;
+    healthClass = decision.className;
+    justification = aiSummary.headline;
+  }
+
   containers.statusBadge.textContent = healthStatus;
   containers.statusBadge.className = `jira-badge status-badge ${healthClass}`;
 
@@ -708,8 +1031,9 @@ function renderInsights(tests) {
       <span class="health-value">${criticalCount}</span>
     </div>
     <div class="health-justification">
-      AI Assessment: ${justification}
+      AI Assessment: ${escapeHtml(justification)}
     </div>
+    ${aiSummary && aiSummary.headline ? `<div class="ai-summary-block">${executiveSummaryHtml(aiSummary, false)}</div>` : ""}
   `;
 
   // 5. Render Priority Table & Bug Cards
@@ -729,27 +1053,38 @@ function renderInsights(tests) {
     return (severityOrder[sevA] ?? 2) - (severityOrder[sevB] ?? 2);
   });
 
-  // Helper to escape HTML tags in error messages (prevents '<h1>' in error text from rendering as a giant heading)
-  const escapeHtml = (str) => {
-    return (str || "").replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-  };
+  // Collapse failures that share a root cause (same AI clusterId) into a single card
+  const groups = [];
+  const groupByCluster = {};
+  sortedFailures.forEach((test) => {
+    if (test.aiClusterId && groupByCluster[test.aiClusterId]) {
+      groupByCluster[test.aiClusterId].members.push(test);
+      return;
+    }
+    const group = { lead: test, members: [test] };
+    if (test.aiClusterId) groupByCluster[test.aiClusterId] = group;
+    groups.push(group);
+  });
 
-  sortedFailures.forEach((test, idx) => {
+  groups.forEach(({ lead: test, members }, idx) => {
     const sev = classifySeverity(test.duration, test.errorMessage, test.aiSeverity);
     const textSev = sev === 'major' ? 'High' : sev.charAt(0).toUpperCase() + sev.slice(1);
-    const moduleName = test.suite || "Core";
-    const confidence = test.aiConfidence ? (test.aiConfidence > 0.8 ? "High" : "Medium") : "Medium";
+    const moduleName = escapeHtml(test.suite || "Core");
+    const title = escapeHtml(test.title);
+    const disagree = Boolean(test.aiEnsemble?.disagreement);
+    const confidence = disagree ? "Low (models disagree)" : test.aiConfidence ? (test.aiConfidence > 0.8 ? "High" : "Medium") : "Medium";
+    const isCluster = members.length > 1;
+    const clusterBadge = isCluster ? `<span class="jira-badge cluster-badge" title="${members.length} tests share this root cause">×${members.length}</span>` : "";
+    const memberList = members
+      .map((m) => `<li>${escapeHtml(m.title)} <span class="cluster-suite">${escapeHtml(m.suite || "Core")}</span></li>`)
+      .join("");
 
     // Table Row
     const tr = document.createElement("tr");
     tr.innerHTML = `
       <td><span class="jira-badge priority-badge ${sev}">${textSev}</span></td>
       <td>${moduleName}</td>
-      <td title="${test.title}" style="max-width: 250px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${test.title}</td>
+      <td title="${title}" style="max-width: 250px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${title}${isCluster ? ` (+${members.length - 1} more)` : ""}</td>
       <td>${confidence}</td>
     `;
     containers.priorityBody.appendChild(tr);
@@ -767,43 +1102,96 @@ function renderInsights(tests) {
         <summary class="bug-summary">
           <div class="bug-title-row">
             <span class="jira-badge priority-badge ${sev}">${textSev}</span>
-            <span>${test.title}</span>
+            <span>${title}</span>
+            ${clusterBadge}
+            ${test.aiKnownIssue ? `<span class="jira-badge known-badge${test.aiKnownIssue.expired ? " expired" : ""}">Known issue</span>` : ""}
+            ${test.aiInjection ? `<span class="jira-badge injection-badge" title="Instruction-like text in the failure output">Injection detected</span>` : ""}
+            ${disagree ? `<span class="jira-badge disagree-badge" title="${escapeHtml(test.aiEnsemble.reasons.join("; "))}">Models disagree</span>` : ""}
           </div>
-          <span style="font-size:12px; color:#6B778C;">${test.suite || "Core"}</span>
+          <span style="font-size:12px; color:#6B778C;">${moduleName}</span>
         </summary>
         <div class="bug-details">
           <div class="bug-field">
              <span class="field-label">Summary</span>
-             <span class="field-value"><strong>${test.title}</strong><br/>${test.aiSummary}</span>
+             <span class="field-value"><strong>${title}</strong><br/>${markUngrounded(test, "summary", test.aiSummary)}</span>
           </div>
+          ${isCluster ? `
+          <div class="bug-field">
+             <span class="field-label">Shared Root Cause</span>
+             <span class="field-value">
+               <span class="cluster-note">${members.length} tests share this root cause</span>
+               <ul class="cluster-members">${memberList}</ul>
+             </span>
+          </div>` : ""}
           <div class="bug-field">
              <span class="field-label">Error Translation</span>
-             <span class="field-value">${test.aiHumanError || "N/A"}</span>
+             <span class="field-value">${markUngrounded(test, "humanError", test.aiHumanError) || "N/A"}</span>
           </div>
           <div class="bug-field">
              <span class="field-label">Test Root Cause</span>
-             <span class="field-value">${test.aiTestRootCause || "N/A"}</span>
+             <span class="field-value">${markUngrounded(test, "testRootCause", test.aiTestRootCause) || "N/A"}</span>
           </div>
           <div class="bug-field">
              <span class="field-label">Product Root Cause</span>
-             <span class="field-value">${test.aiProductRootCause || "N/A"}</span>
+             <span class="field-value">${markUngrounded(test, "productRootCause", test.aiProductRootCause) || "N/A"}</span>
           </div>
           <div class="bug-field">
              <span class="field-label">Impact</span>
-             <span class="field-value">${test.aiImpact}</span>
+             <span class="field-value">${markUngrounded(test, "bugEffect", test.aiImpact)}</span>
           </div>
           <div class="bug-field">
              <span class="field-label">Expected Result</span>
-             <span class="field-value" style="color:#006644;">${test.aiExpected}</span>
+             <span class="field-value" style="color:#006644;">${markUngrounded(test, "inferredExpected", test.aiExpected)}</span>
           </div>
           <div class="bug-field">
              <span class="field-label">Actual Result</span>
              <span class="field-value" style="color:#DE350B; font-family:monospace; font-size: 13px;">${cleanErr}</span>
           </div>
+          ${test.aiInjection ? `
+          <div class="bug-field">
+             <span class="field-label">Prompt Injection</span>
+             <span class="field-value injection-note">${injectionHtml(test.aiInjection)}</span>
+          </div>` : ""}
+          ${test.aiEnsemble ? `
+          <div class="bug-field">
+             <span class="field-label">Model Ensemble</span>
+             <span class="field-value">${ensembleHtml(test.aiEnsemble)}</span>
+          </div>` : ""}
+          ${test.aiSeenBefore.length ? `
+          <div class="bug-field">
+             <span class="field-label">Seen Before</span>
+             <span class="field-value">${seenBeforeHtml(test.aiSeenBefore)}</span>
+          </div>` : ""}
+          ${test.aiKnownIssue ? `
+          <div class="bug-field">
+             <span class="field-label">Known Issue</span>
+             <span class="field-value">${knownIssueHtml(test.aiKnownIssue)}</span>
+          </div>` : ""}
+          ${test.aiTriage || test.aiOwner ? `
+          <div class="bug-field">
+             <span class="field-label">Triage Policy</span>
+             <span class="field-value triage-note">${triageHtml(test)}</span>
+          </div>` : ""}
+          ${Object.entries(test.aiExtra || {}).map(([field, value]) => `
+          <div class="bug-field">
+             <span class="field-label">${escapeHtml(humanizeField(field))}</span>
+             <span class="field-value">${escapeHtml(Array.isArray(value) ? value.join(", ") : String(value))}</span>
+          </div>`).join("")}
+          ${test.aiQuality?.status === "degraded" ? `
           <div class="bug-field">
-             <span class="field-label">AI Analysis <span style="font-size:10px; color:#a99bff; margin-left:4px;">(${test.aiModel})</span></span>
-             <span class="field-value" style="font-weight:600; color:#403294;">${test.aiFix}</span>
+             <span class="field-label">AI Output Quality</span>
+             <span class="field-value quality-note">Model output failed validation${test.aiQuality.defaulted.length ? `; defaulted: ${escapeHtml(test.aiQuality.defaulted.join(", "))}` : `: ${escapeHtml((test.aiQuality.issues || []).join("; "))}`}</span>
+          </div>` : ""}
+          <div class="bug-field">
+             <span class="field-label">AI Analysis <span style="font-size:10px; color:#a99bff; margin-left:4px;" title="${escapeHtml(describeProvenance(test))}">(${test.aiModel})</span></span>
+             <span class="field-value" style="font-weight:600; color:#403294;">${markUngrounded(test, "recommendation", test.aiFix)}</span>
           </div>
+          ${test.aiGrounding?.ungrounded.length ? `
+          <div class="bug-field">
+             <span class="field-label">Unverified Claims</span>
+             <span class="field-value grounding-note">${groundingHtml(test)}</span>
+          </div>` : ""}
+          ${test.aiModel !== "AI Analysis" ? feedbackHtml(test) : ""}
            <div class="bug-field">
              <span class="field-label">Evidence</span>
              <span class="field-value">${test.screenshot ? `
@@ -816,6 +1204,7 @@ function renderInsights(tests) {
         </div>
       </details>
     `;
+    bindFeedback(card, test);
     containers.bugList.appendChild(card);
   });
 
@@ -1381,7 +1770,7 @@ function renderMetricsCanvas(payload) {
 function updateCenterDisplay(filter) {
   const stats = state.stats;
   if (!stats) return;
-  ui.totalTests.classList.remove("pass", "fail", "skipped", "pending");
+  ui.totalTests.classList.remove("pass", "fail", "skipped", "pending", "flaky");
 
   if (filter === "all") {
     ui.centerLabel.textContent = "Total Tests";
@@ -1395,6 +1784,7 @@ function updateCenterDisplay(filter) {
     failed: "failures",
     skipped: "skipped",
     pending: "pending",
+    flaky: "flaky",
   };
   const key = keyMap[filter] || filter;
   const count = stats[key] || 0;
@@ -1410,6 +1800,9 @@ function renderHeader(stats) {
   ui.statusChip.textContent = hasFailures ? `${stats.failures} FAILING` : "ALL PASSED";
   ui.statusChip.classList.toggle("ok", !hasFailures);
   ui.statusChip.classList.toggle("bad", hasFailures);
+  const known = stats.knownFailures || 0;
+  ui.knownChip.classList.toggle("hidden", !hasFailures || !known);
+  ui.knownChip.textContent = `${Math.max(stats.failures - known, 0)} NEW / ${known} KNOWN`;
   setLastUpdated();
 }
 
@@ -1417,7 +1810,7 @@ function renderHeader(stats) {
 function getFilteredTests() {
   let filtered = [...state.tests];
   if (state.filter !== "all") {
-    filtered = filtered.filter((test) => test.status === state.filter);
+    filtered = filtered.filter((test) => (state.filter === "flaky" ? test.flaky : test.status === state.filter));
   }
   if (state.search) {
     filtered = filtered.filter((test) => {
@@ -1465,12 +1858,13 @@ function renderTable() {
       skipped: "status-skipped",
       pending: "status-pending",
     };
-    statusWrap.className = `status-pill ${statusClassMap[test.status] || ""}`.trim();
+    const statusKey = test.flaky ? "flaky" : test.status;
+    statusWrap.className = `status-pill ${test.flaky ? "status-flaky" : statusClassMap[test.status] || ""}`.trim();
     const statusDot = document.createElement("span");
     statusDot.className = "status-dot";
     statusWrap.appendChild(statusDot);
     statusWrap.appendChild(
-      document.createTextNode(STATUS_META[test.status]?.label || test.status.toUpperCase())
+      document.createTextNode(STATUS_META[statusKey]?.label || test.status.toUpperCase())
     );
     statusCell.appendChild(statusWrap);
 
@@ -1506,7 +1900,8 @@ function renderTable() {
 
     ui.testsBody.appendChild(row);
 
-    const hasDetails = test.status === "failed" && (test.errorMessage || test.screenshot);
+    const hasDetails = (test.status === "failed" && (test.errorMessage || test.screenshot || test.aiKnownIssue))
+      || (test.flaky && (test.aiSummary || test.aiFix));
     if (hasDetails) {
       row.classList.add("row-clickable");
       const detailRow = document.createElement("tr");
@@ -1521,6 +1916,24 @@ function renderTable() {
         errorText.textContent = test.errorMessage;
         panel.appendChild(errorText);
       }
+      if (test.aiKnownIssue) {
+        const knownText = document.createElement("div");
+        knownText.className = "known-text";
+        knownText.innerHTML = knownIssueHtml(test.aiKnownIssue);
+        panel.appendChild(knownText);
+      }
+      if (test.aiEnsemble?.disagreement) {
+        const disagreeText = document.createElement("div");
+        disagreeText.className = "disagree-text";
+        disagreeText.textContent = `Models disagree: ${test.aiEnsemble.reasons.join("; ")}`;
+        panel.appendChild(disagreeText);
+      }
+      if (test.flaky && test.aiSummary) {
+        const flakyText = document.createElement("div");
+        flakyText.className = "flaky-text";
+        flakyText.textContent = `Passed after a retry. ${test.aiSummary}${test.aiFix ? ` Fix: ${test.aiFix}` : ""}`;
+        panel.appendChild(flakyText);
+      }
       if (test.screenshot) {
         const actions = document.createElement("div");
         actions.className = "detail-actions";
@@ -1590,7 +2003,8 @@ function handleReport(report, sourceUrl) {
   updateSourceInput(sourceUrl);
   setFilter("all");
   updateCenterDisplay("all");
-  renderInsights(tests);
+  renderExecutiveSummary(report.aiSummary);
+  renderInsights(tests, report.aiSummary);
   if (ui.app) ui.app.classList.add("loaded");
 }
 
@@ -1661,7 +2075,7 @@ if (ui.navOverlay) {
 
 function openInsights() {
   if (!ui.insightsModal) return;
-  renderInsights(state.tests);
+  renderInsights(state.tests, state.reportData?.aiSummary);
   ui.insightsModal.classList.remove("hidden");
 }
 
@@ -1676,6 +2090,9 @@ if (ui.insightsBtn) {
 if (ui.insightsClose) {
   ui.insightsClose.addEventListener("click", closeInsights);
 }
+if (ui.feedbackExport) {
+  ui.feedbackExport.addEventListener("click", exportFeedback);
+}
 if (ui.insightsModal) {
   ui.insightsModal.addEventListener("click", (event) => {
     if (event.target.classList.contains("modal-backdrop")) closeInsights();